@@ -0,0 +1,69 @@
+/**
+ * Converte um conteúdo HTML (ex.: o da tooltip) em texto para os leitores de tela. O HTML
+ * é interpretado em um documento inerte (sem carregar imagens ou executar scripts) e os
+ * blocos (linhas da tooltip) são separados por vírgulas.
+ * @param {String} html Conteúdo HTML
+ * @returns {String} Texto
+ */
+function htmlToText (html) {
+  const doc = new DOMParser().parseFromString(String(html), 'text/html')
+  doc.body.querySelectorAll('br, hr, div, p, li').forEach(element => element.before(', '))
+  return doc.body.textContent
+    .replace(/\s+/g, ' ')
+    .replace(/(\s*,\s*)+/g, ', ')
+    .replace(/^[\s,]+|[\s,]+$/g, '')
+}
+
+/**
+ * Cria um elemento visualmente oculto, mas disponível para os leitores de tela
+ * @param {String} [text] Texto do elemento
+ * @returns {HTMLElement} Elemento criado
+ */
+function createHiddenElement (text = '') {
+  const element = document.createElement('div')
+  element.className = 'regl-graph-sr-only'
+  element.textContent = text
+  return element
+}
+
+/**
+ * Cria o controlador dos anúncios para leitores de tela: uma região ARIA live, que anuncia
+ * as mensagens, e a descrição (instruções de uso) referenciada pelo canvas
+ * @param {HTMLElement} container Container do grafo
+ * @param {String} id ID do elemento de descrição (atributo aria-describedby do canvas)
+ * @param {String} description Texto da descrição
+ */
+export function createAnnouncer (container, id, description) {
+  const region = createHiddenElement()
+  region.setAttribute('role', 'status')
+  region.setAttribute('aria-live', 'polite')
+  region.setAttribute('aria-atomic', 'true')
+  const descriptionElement = createHiddenElement(description)
+  descriptionElement.id = id
+  container.appendChild(descriptionElement)
+  container.appendChild(region)
+  let timeout = null
+
+  return {
+    /**
+     * Anuncia uma mensagem. As partes (texto ou HTML) são convertidas em texto e separadas
+     * por vírgulas.
+     * @param {...String} parts Partes da mensagem
+     */
+    announce: (...parts) => {
+      const text = parts.map(htmlToText).filter(part => part).join(', ')
+      // A região é esvaziada antes para que uma mensagem repetida também seja anunciada
+      region.textContent = ''
+      clearTimeout(timeout)
+      timeout = setTimeout(() => {
+        region.textContent = text
+      }, 100)
+    },
+    destroy: () => {
+      clearTimeout(timeout)
+      region.parentNode && region.parentNode.removeChild(region)
+      descriptionElement.parentNode && descriptionElement.parentNode.removeChild(descriptionElement)
+    },
+    element: region
+  }
+}
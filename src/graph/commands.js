@@ -1,10 +1,18 @@
 // Shaders
 import POINT_FS from './shaders/point.fs'
 import POINT_VS from './shaders/point.vs'
+import POINT_PICKING_FS from './shaders/point.picking.fs'
 import CIRCLE_FS from './shaders/circle.fs'
 import CIRCLE_VS from './shaders/circle.vs'
+import POLYGON_VS from './shaders/polygon.vs'
 import INTERLEAVED_VS from './shaders/interleaved.segments.vs'
 import INTERLEAVED_FS from './shaders/interleaved.segments.fs'
+import ARROW_VS from './shaders/arrow.vs'
+import LABEL_VS from './shaders/label.vs'
+import LABEL_FS from './shaders/label.fs'
+
+// Formatos dos nós, na ordem dos códigos utilizados nos shaders (ver shape.glsl)
+export const NODE_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'ring']
 
 /**
  * Cria um círculo com N pontos e retorna a matriz de vetores dos pontos
@@ -19,18 +27,47 @@ function makeCircle (N) {
 }
 
 /**
- * Retorna o comando regl para renderização de círculos
+ * Retorna o contorno de um formato de nó (mesma borda do shader dos pontos, com y para baixo)
+ * @param {String} shape Formato do nó (ver NODE_SHAPES)
+ * @param {Number} N Número de pontos dos contornos circulares
+ * @returns Array de vetores vec2 com as posições [x, y] dos pontos
+ */
+export function makeShapeOutline (shape, N) {
+  switch (shape) {
+    case 'square':
+      return [[-0.85, -0.85], [0.85, -0.85], [0.85, 0.85], [-0.85, 0.85]]
+    case 'triangle':
+      return [[0, -0.75], [0.866, 0.75], [-0.866, 0.75]]
+    case 'diamond':
+      return [[0, -1], [1, 0], [0, 1], [-1, 0]]
+    default:
+      return makeCircle(N)
+  }
+}
+
+/**
+ * Retorna o comando regl para renderização do contorno dos formatos dos nós (círculo de seleção)
  * @param {Object} regl Instância da biblioteca regl
  * @returns Comando (função) de plotagem de círculos
  */
 export const drawCircle = (regl) => {
+  // Buffers dos contornos, reaproveitados por formato e número de pontos
+  const outlines = new Map()
+  const outline = (shape, points) => {
+    const key = `${shape}:${points}`
+    if (!outlines.has(key)) {
+      const vertices = makeShapeOutline(shape, points)
+      outlines.set(key, { buffer: regl.buffer(vertices), count: vertices.length })
+    }
+    return outlines.get(key)
+  }
   return regl({
 
     frag: CIRCLE_FS,
     vert: CIRCLE_VS,
 
     attributes: {
-      circlePoint: (context, props) => makeCircle(props.points)
+      circlePoint: (context, props) => outline(props.shape, props.points).buffer
     },
 
     uniforms: {
@@ -43,7 +80,7 @@ export const drawCircle = (regl) => {
       points: regl.prop('points')
     },
 
-    count: regl.prop('points'),
+    count: (context, props) => outline(props.shape, props.points).count,
 
     lineWidth: Math.min(2, regl.limits.lineWidthDims[1]),
 
@@ -51,21 +88,56 @@ export const drawCircle = (regl) => {
   })
 }
 
+/**
+ * Retorna o comando regl para renderização do contorno de polígonos (ex.: área de seleção)
+ * @param {Object} regl Instância da biblioteca regl
+ * @returns Comando (função) de plotagem de polígonos
+ */
+export const drawPolygon = (regl) => {
+  return regl({
+
+    frag: CIRCLE_FS,
+    vert: POLYGON_VS,
+
+    attributes: {
+      position: regl.prop('points')
+    },
+
+    uniforms: {
+      transform: regl.prop('transform'),
+      projection: regl.prop('projection'),
+      color: regl.prop('color')
+    },
+
+    count: regl.prop('count'),
+
+    lineWidth: Math.min(2, regl.limits.lineWidthDims[1]),
+
+    depth: { enable: false },
+
+    primitive: 'line loop'
+  })
+}
+
 /**
  * Retorna o comando regl para renderização de pontos (nós da rede)
  * @param {Object} regl Instância da biblioteca regl
+ * @param {Boolean} [picking] Comando para a renderização de seleção (cores que codificam índices)
  * @returns Comando (função) de plotagem de pontos
  */
-export const drawPoints = (regl) => {
+export const drawPoints = (regl, picking = false) => {
   return regl({
 
-    frag: POINT_FS,
+    frag: picking ? POINT_PICKING_FS : POINT_FS,
     vert: POINT_VS,
 
     attributes: {
       position: regl.prop('nodes'),
       color: regl.prop('colors'),
-      size: regl.prop('sizes')
+      size: regl.prop('sizes'),
+      visible: regl.prop('visibility'),
+      style: regl.prop('styles'),
+      borderColor: regl.prop('borderColors')
     },
 
     uniforms: {
@@ -74,13 +146,16 @@ export const drawPoints = (regl) => {
       projection: regl.prop('projection'),
       stageWidth: regl.prop('stageWidth'),
       stageHeight: regl.prop('stageHeight'),
+      pixelRatio: regl.prop('pixelRatio'),
       hovered: regl.prop('hovered'),
       selected: regl.prop('selected'),
-      highlighted: regl.prop('highlighted')
+      highlighted: regl.prop('highlighted'),
+      atlas: regl.prop('atlas'),
+      atlasGrid: regl.prop('atlasGrid')
     },
 
     blend: {
-      enable: true,
+      enable: !picking,
       func: {
         srcRGB: 'src alpha',
         srcAlpha: 1,
@@ -106,22 +181,95 @@ export const drawPoints = (regl) => {
  * Geometria utilizada para instanciamento de linhas com melhor performance
  * e melhor customização do estilo da linha (espessura, cor etc).
  * Instanced Line Rendering (https://wwwtyro.net/2019/11/18/instanced-lines.html)
+ * @param {Number} divisions Número de segmentos ao longo da linha (mais de um para as curvas)
+ * @returns Array de vetores vec2 [t, lado] dos triângulos da linha
  */
-const segmentInstanceGeometry = [
-  [0, -0.5],
-  [1, -0.5],
-  [1,  0.5],
-  [0, -0.5],
-  [1,  0.5],
-  [0,  0.5]
-];
+function makeSegmentGeometry (divisions) {
+  const geometry = []
+  for (let i = 0; i < divisions; i++) {
+    const t0 = i / divisions
+    const t1 = (i + 1) / divisions
+    geometry.push(
+      [t0, -0.5],
+      [t1, -0.5],
+      [t1,  0.5],
+      [t0, -0.5],
+      [t1,  0.5],
+      [t0,  0.5]
+    )
+  }
+  return geometry
+}
+
+const segmentInstanceGeometry = makeSegmentGeometry(1)
+
+// Geometria das arestas curvas (curvas de Bézier quadráticas)
+const curvedSegmentInstanceGeometry = makeSegmentGeometry(16)
+
+// Geometria das setas das arestas direcionadas [posição ao longo da aresta, lado]
+const arrowInstanceGeometry = [
+  [1,  0.0],
+  [0,  0.5],
+  [0, -0.5]
+]
+
+/**
+ * Atributos por instância das arestas, compartilhados pelas linhas e setas
+ * @param {Object} regl Instância da biblioteca regl
+ * @returns Atributos regl (extremidades, cores e tamanhos dos nós)
+ */
+const edgeInstanceAttributes = (regl) => ({
+  pointA: {
+    buffer: regl.prop("points"),
+    divisor: 1,
+    offset: Float32Array.BYTES_PER_ELEMENT * 0,
+    stride: Float32Array.BYTES_PER_ELEMENT * 6
+  },
+  pointB: {
+    buffer: regl.prop("points"),
+    divisor: 1,
+    offset: Float32Array.BYTES_PER_ELEMENT * 3,
+    stride: Float32Array.BYTES_PER_ELEMENT * 6
+  },
+  // Cores das extremidades da aresta (origem e destino), interpoladas no shader
+  colorA: {
+    buffer: regl.prop("colors"),
+    divisor: 1,
+    offset: Float32Array.BYTES_PER_ELEMENT * 0,
+    stride: Float32Array.BYTES_PER_ELEMENT * 8
+  },
+  colorB: {
+    buffer: regl.prop("colors"),
+    divisor: 1,
+    offset: Float32Array.BYTES_PER_ELEMENT * 4,
+    stride: Float32Array.BYTES_PER_ELEMENT * 8
+  },
+  // Tamanhos dos nós de origem e destino (para terminar a aresta na borda do nó)
+  sizes: {
+    buffer: regl.prop("sizes"),
+    divisor: 1
+  },
+  // Visibilidade da aresta (filtro)
+  visible: {
+    buffer: regl.prop("visibility"),
+    divisor: 1
+  },
+  // Opacidades da aresta nas redes ego dos nós realçado e selecionado
+  ego: {
+    buffer: regl.prop("ego"),
+    divisor: 1
+  }
+})
 
 /**
  * Retorna o comando regl para renderização de instâncias de linhas (arestas da rede)
  * @param {Object} regl Instância da biblioteca regl
+ * @param {Boolean} [picking] Comando para a renderização de seleção (cores que codificam índices)
  * @returns Comando (função) de plotagem de instâncias de linhas
  */
-export const drawEdges = (regl) => {
+export const drawEdges = (regl, picking = false) => {
+  const straightBuffer = regl.buffer(segmentInstanceGeometry)
+  const curvedBuffer = regl.buffer(curvedSegmentInstanceGeometry)
   return regl({
 
     frag: INTERLEAVED_FS,
@@ -129,21 +277,10 @@ export const drawEdges = (regl) => {
 
     attributes: {
       position: {
-        buffer: regl.buffer(segmentInstanceGeometry),
+        buffer: (context, props) => props.curvature ? curvedBuffer : straightBuffer,
         divisor: 0
       },
-      pointA: {
-        buffer: regl.prop("points"),
-        divisor: 1,
-        offset: Float32Array.BYTES_PER_ELEMENT * 0,
-        stride: Float32Array.BYTES_PER_ELEMENT * 6
-      },
-      pointB: {
-        buffer: regl.prop("points"),
-        divisor: 1,
-        offset: Float32Array.BYTES_PER_ELEMENT * 3,
-        stride: Float32Array.BYTES_PER_ELEMENT * 6
-      },
+      ...edgeInstanceAttributes(regl),
       // width: regl.prop("width")
       /* width: {
         buffer: regl.prop("width"),
@@ -158,13 +295,18 @@ export const drawEdges = (regl) => {
       projection: regl.prop('projection'),
       stageWidth: regl.prop('stageWidth'),
       stageHeight: regl.prop('stageHeight'),
-      color: regl.prop("color"),
       hovered: regl.prop('hovered'),
       selected: regl.prop('selected'),
+      // Opcional: apenas a renderização com um caminho destacado esmaece as arestas
+      dimmed: (context, props) => Boolean(props.dimmed),
+      directed: regl.prop('directed'),
+      arrowSize: regl.prop('arrowSize'),
+      curvature: regl.prop('curvature'),
+      picking
     },
 
     blend: {
-      enable: true,
+      enable: !picking,
       func: {
         srcRGB: 'src alpha',
         srcAlpha: 1,
@@ -178,15 +320,124 @@ export const drawEdges = (regl) => {
       color: [0, 0, 0, 0]
     },
 
-    count: segmentInstanceGeometry.length,
+    count: (context, props) => props.curvature ? curvedSegmentInstanceGeometry.length : segmentInstanceGeometry.length,
     instances: regl.prop("segments"),
     depth: { enable: false }
     // viewport: regl.prop("viewport")
   })
 }
 
+/**
+ * Retorna o comando regl para renderização das setas das arestas direcionadas
+ * @param {Object} regl Instância da biblioteca regl
+ * @param {Boolean} [picking] Comando para a renderização de seleção (cores que codificam índices)
+ * @returns Comando (função) de plotagem de instâncias de setas
+ */
+export const drawArrows = (regl, picking = false) => {
+  return regl({
+
+    frag: INTERLEAVED_FS,
+    vert: ARROW_VS,
+
+    attributes: {
+      position: {
+        buffer: regl.buffer(arrowInstanceGeometry),
+        divisor: 0
+      },
+      ...edgeInstanceAttributes(regl)
+    },
+
+    uniforms: {
+      zoom: regl.prop('zoom'),
+      width: regl.prop("width"),
+      transform: regl.prop('transform'),
+      projection: regl.prop('projection'),
+      hovered: regl.prop('hovered'),
+      selected: regl.prop('selected'),
+      dimmed: (context, props) => Boolean(props.dimmed),
+      arrowSize: regl.prop('arrowSize'),
+      curvature: regl.prop('curvature'),
+      picking
+    },
+
+    blend: {
+      enable: !picking,
+      func: {
+        srcRGB: 'src alpha',
+        srcAlpha: 1,
+        dstRGB: 'one minus src alpha',
+        dstAlpha: 1
+      },
+      equation: {
+        rgb: 'add',
+        alpha: 'add'
+      },
+      color: [0, 0, 0, 0]
+    },
+
+    count: arrowInstanceGeometry.length,
+    instances: regl.prop("segments"),
+    depth: { enable: false }
+  })
+}
+
+/**
+ * Retorna o comando regl para renderização de rótulos (glifos de um atlas de textura)
+ * @param {Object} regl Instância da biblioteca regl
+ * @returns Comando (função) de plotagem de rótulos
+ */
+export const drawLabels = (regl) => {
+  return regl({
+
+    frag: LABEL_FS,
+    vert: LABEL_VS,
+
+    attributes: {
+      anchor: regl.prop('anchors'),
+      offset: regl.prop('offsets'),
+      uv: regl.prop('uvs')
+    },
+
+    uniforms: {
+      atlas: regl.prop('atlas'),
+      color: regl.prop('color'),
+      fontSize: regl.prop('fontSize'),
+      padding: regl.prop('padding'),
+      zoom: regl.prop('zoom'),
+      transform: regl.prop('transform'),
+      projection: regl.prop('projection'),
+      stageWidth: regl.prop('stageWidth'),
+      stageHeight: regl.prop('stageHeight')
+    },
+
+    blend: {
+      enable: true,
+      func: {
+        srcRGB: 'src alpha',
+        srcAlpha: 1,
+        dstRGB: 'one minus src alpha',
+        dstAlpha: 1
+      },
+      equation: {
+        rgb: 'add',
+        alpha: 'add'
+      },
+      color: [0, 0, 0, 0]
+    },
+
+    count: regl.prop('count'),
+
+    depth: { enable: false },
+
+    primitive: 'triangles'
+  })
+}
+
 export default {
   drawCircle,
+  drawPolygon,
   drawPoints,
-  drawEdges
+  drawEdges,
+  drawArrows,
+  drawLabels
 }
@@ -0,0 +1,77 @@
+/**
+ * Redes ego (vizinhança de até N saltos de um nó) no modelo do grafo (ngraph)
+ */
+
+// Sentidos das arestas percorridas: arestas que chegam ao nó, que saem do nó ou ambas
+const DIRECTIONS = ['incoming', 'outgoing', 'both']
+
+/**
+ * Indica se uma aresta pode ser percorrida a partir de um nó no sentido informado
+ * @param {Object} link Objeto ngraph da aresta
+ * @param {String} id ID do nó
+ * @param {String} direction Sentido: incoming | outgoing | both
+ * @returns {Boolean} Verdadeiro se a aresta pode ser percorrida
+ */
+function canTraverse (link, id, direction) {
+  if (direction === 'outgoing') {
+    return link.fromId === id
+  }
+  if (direction === 'incoming') {
+    return link.toId === id
+  }
+  return link.fromId === id || link.toId === id
+}
+
+/**
+ * Busca os nós da rede ego de um nó (busca em largura limitada pela profundidade). Com o
+ * sentido 'incoming' a rede contém os nós que alcançam o nó central (ex.: tudo o que depende
+ * de um pacote, direta ou transitivamente); com 'outgoing', os nós alcançados por ele.
+ * @param {Object} graph Grafo ngraph
+ * @param {String} centerId ID do nó central
+ * @param {Object} [options] Opções { depth, direction, isAllowed }
+ * @param {Number} [options.depth] Número máximo de saltos (Infinity para toda a rede alcançável). Padrão: 1
+ * @param {String} [options.direction] Sentido das arestas: incoming | outgoing | both. Padrão: 'both'
+ * @param {Function} [options.isAllowed] Indica se um nó pode fazer parte da rede (node) => Boolean
+ * @returns {Map} Distâncias (saltos) por ID, na ordem da busca (o nó central tem distância 0)
+ */
+export function getEgoNetwork (graph, centerId, { depth = 1, direction = 'both', isAllowed = () => true } = {}) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Sentido inválido para a vizinhança dos nós: ${direction}`)
+  }
+  const distances = new Map([[centerId, 0]])
+  let frontier = [centerId]
+  for (let hop = 1; hop <= depth && frontier.length; hop++) {
+    const next = []
+    frontier.forEach((id) => {
+      graph.forEachLinkedNode(id, (node, link) => {
+        if (!distances.has(node.id) && canTraverse(link, id, direction) && isAllowed(node)) {
+          distances.set(node.id, hop)
+          next.push(node.id)
+        }
+      })
+    })
+    frontier = next
+  }
+  return distances
+}
+
+/**
+ * Retorna a distância de uma aresta na rede ego. A aresta pertence à rede quando é percorrida
+ * pela busca, ou seja, quando sai (no sentido informado) de um nó da rede anterior ao limite
+ * da profundidade. Com profundidade 1 são apenas as arestas do nó central.
+ * @param {Object} link Objeto ngraph da aresta
+ * @param {Map} distances Distâncias por ID (ver getEgoNetwork)
+ * @param {Number} depth Profundidade da rede
+ * @param {String} direction Sentido das arestas: incoming | outgoing | both
+ * @returns {Number} Maior distância entre as extremidades da aresta ou -1 se ela não pertence à rede
+ */
+export function getEgoEdgeDistance (link, distances, depth, direction) {
+  const from = distances.get(link.fromId)
+  const to = distances.get(link.toId)
+  if (typeof from === 'undefined' || typeof to === 'undefined') {
+    return -1
+  }
+  const traversed = (from < depth && canTraverse(link, link.fromId, direction)) ||
+    (to < depth && canTraverse(link, link.toId, direction))
+  return traversed ? Math.max(from, to) : -1
+}
@@ -0,0 +1,135 @@
+/**
+ * Escalas das codificações visuais por atributo (cores e tamanhos de nós e arestas)
+ */
+import {
+  color as d3Color,
+  extent as d3Extent,
+  interpolateRdBu,
+  interpolateRgb,
+  interpolateViridis,
+  piecewise,
+  scaleDiverging,
+  scaleLinear,
+  scaleLog,
+  scaleOrdinal,
+  scaleSequential,
+  scaleSqrt,
+  schemeTableau10
+} from 'd3' // https://github.com/d3/d3
+
+// Paletas padrão por tipo de escala de cores
+const DEFAULT_PALETTES = {
+  categorical: schemeTableau10,
+  sequential: interpolateViridis,
+  diverging: interpolateRdBu
+}
+
+// Escalas de tamanho disponíveis
+const SIZE_SCALES = {
+  linear: scaleLinear,
+  sqrt: scaleSqrt,
+  log: scaleLog
+}
+
+/**
+ * Verifica se um valor é um número finito
+ * @param {*} value Valor
+ * @returns {Boolean} Verdadeiro para números finitos
+ */
+function isNumber (value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/**
+ * Converte uma cor CSS qualquer para hexadecimal (formato aceito pelo grafo)
+ * @param {String} color Cor CSS
+ * @returns {String|null} Cor hexadecimal ou null se inválida
+ */
+function toHex (color) {
+  const parsed = color ? d3Color(color) : null
+  return parsed ? parsed.formatHex() : null
+}
+
+/**
+ * Cria a escala de cores de um atributo
+ * - categorical: uma cor da paleta (array de cores) para cada valor distinto
+ * - sequential: interpolação entre o menor e o maior valor numérico
+ * - diverging: interpolação em torno de um ponto médio ('midpoint'; por padrão 0 quando
+ *   os valores têm sinais diferentes ou a média entre o menor e o maior valor)
+ * Nas escalas contínuas a paleta pode ser um interpolador do d3 (ex.: d3.interpolateBlues)
+ * ou um array de cores.
+ * @param {Array} values Valores do atributo
+ * @param {Object} [options] Opções { type, palette, domain, midpoint }. O domínio das escalas
+ * divergentes pode conter o ponto médio: [mínimo, médio, máximo]
+ * @returns {Object} Escala { type, domain, palette, map, contains } em que map(value) retorna
+ * a cor hexadecimal ou null para valores inválidos e contains(value) indica se o valor está no
+ * domínio (valores inválidos não alteram o domínio e são considerados contidos)
+ */
+export function createColorScale (values, { type = 'categorical', palette = null, domain = null, midpoint = null } = {}) {
+  if (!DEFAULT_PALETTES[type]) {
+    throw new Error(`Tipo de escala de cores inválido: ${type}`)
+  }
+  palette = palette || DEFAULT_PALETTES[type]
+  if (type === 'categorical') {
+    const categories = domain || [...new Set(values.filter(value => value !== undefined && value !== null))]
+    const scale = scaleOrdinal(categories, (typeof palette === 'function' ? DEFAULT_PALETTES.categorical : palette).map(toHex))
+    return {
+      type,
+      domain: categories,
+      palette: scale.range(),
+      map: value => value === undefined || value === null ? null : scale(value),
+      // O domínio da escala ordinal cresce com os valores mapeados: as categorias iniciais são consultadas
+      contains: value => value === undefined || value === null || categories.includes(value)
+    }
+  }
+  const numbers = values.filter(isNumber)
+  const [min, max] = domain ? [domain[0], domain[domain.length - 1]] : (numbers.length ? d3Extent(numbers) : [0, 1])
+  const interpolator = typeof palette === 'function' ? palette : piecewise(interpolateRgb, palette)
+  let scale
+  if (type === 'sequential') {
+    scale = scaleSequential(interpolator).domain([min, max])
+  } else {
+    const middle = midpoint ?? (domain && domain.length === 3 ? domain[1] : (min < 0 && max > 0 ? 0 : (min + max) / 2))
+    scale = scaleDiverging(interpolator).domain([min, middle, max])
+  }
+  scale.clamp(true)
+  return {
+    type,
+    domain: scale.domain(),
+    palette: interpolator,
+    map: value => isNumber(value) ? toHex(scale(value)) : null,
+    contains: value => !isNumber(value) || (value >= min && value <= max)
+  }
+}
+
+/**
+ * Cria a escala de tamanhos de um atributo numérico. Na escala logarítmica os valores
+ * menores ou iguais a zero são considerados inválidos.
+ * @param {Array} values Valores do atributo
+ * @param {Object} options Opções { scale, range, domain }
+ * @param {String} [options.scale] Tipo da escala: linear | sqrt | log
+ * @param {Number[]} options.range Tamanhos mínimo e máximo
+ * @param {Number[]} [options.domain] Domínio da escala (por padrão a extensão dos valores)
+ * @returns {Object} Escala { scale, domain, range, map, contains } em que map(value) retorna o
+ * tamanho ou null para valores inválidos e contains(value) indica se o valor está no domínio
+ */
+export function createSizeScale (values, { scale = 'linear', range, domain = null }) {
+  if (!SIZE_SCALES[scale]) {
+    throw new Error(`Tipo de escala de tamanhos inválido: ${scale}`)
+  }
+  const valid = value => isNumber(value) && (scale !== 'log' || value > 0)
+  const numbers = values.filter(valid)
+  const extent = domain || (numbers.length ? d3Extent(numbers) : [1, 1])
+  // Domínio degenerado (um único valor): todos recebem o menor tamanho
+  const sizes = SIZE_SCALES[scale]()
+    .domain(extent)
+    .range(extent[0] === extent[1] ? [range[0], range[0]] : range)
+    .clamp(true)
+  return {
+    scale,
+    domain: extent,
+    range,
+    map: value => valid(value) ? sizes(value) : null,
+    contains: value => !valid(value) || (value >= extent[0] && value <= extent[1])
+  }
+}
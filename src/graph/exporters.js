@@ -0,0 +1,168 @@
+/**
+ * Funções auxiliares para a exportação do grafo (imagens e dados)
+ */
+
+/**
+ * Escapa os caracteres especiais de um texto para inclusão em XML (SVG, GEXF)
+ * @param {*} value Texto
+ * @returns {String} Texto escapado
+ */
+export function escapeXML (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Converte uma cor no formato vec4 (componentes de 0 a 1) para o formato CSS rgb()
+ * @param {Number[]} color Cor no formato vec4
+ * @returns {String} Cor CSS. Ex.: rgb(255,255,255)
+ */
+export function cssColor (color) {
+  return `rgb(${color.slice(0, 3).map(c => Math.round(c * 255)).join(',')})`
+}
+
+/**
+ * Arredonda um número para a escrita em SVG (duas casas decimais)
+ * @param {Number} value Número
+ * @returns {Number} Número arredondado
+ */
+export function round (value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Converte uma cor no formato vec4 (componentes de 0 a 1) para hexadecimal
+ * @param {Number[]} color Cor no formato vec4
+ * @returns {String} Cor hexadecimal. Ex.: #ffffff
+ */
+export function hexColor (color) {
+  return `#${color.slice(0, 3).map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * Infere o tipo GEXF de um atributo a partir dos seus valores
+ * @param {Array} values Valores do atributo
+ * @returns {String} Tipo: integer | double | boolean | string
+ */
+function gexfType (values) {
+  if (values.every(v => typeof v === 'boolean')) {
+    return 'boolean'
+  }
+  if (values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+    return values.every(v => Number.isInteger(v)) ? 'integer' : 'double'
+  }
+  return 'string'
+}
+
+/**
+ * Valor textual de um atributo (objetos e arrays em JSON)
+ * @param {*} value Valor
+ * @returns {String} Valor textual
+ */
+function gexfValue (value) {
+  return escapeXML(value !== null && typeof value === 'object' ? JSON.stringify(value) : value)
+}
+
+/**
+ * Declara os atributos (id, título e tipo) encontrados em uma lista de nós ou arestas
+ * @param {Object[]} items Nós ou arestas com a propriedade attributes
+ * @returns {Object[]} Declarações { id, title, type }
+ */
+function gexfDeclarations (items) {
+  const values = new Map()
+  items.forEach((item) => {
+    Object.keys(item.attributes || {}).forEach((key) => {
+      const value = item.attributes[key]
+      if (value === null || typeof value === 'undefined') {
+        return
+      }
+      values.has(key) ? values.get(key).push(value) : values.set(key, [value])
+    })
+  })
+  return [...values].map(([title, list], i) => ({ id: String(i), title, type: gexfType(list) }))
+}
+
+/**
+ * Escreve os valores dos atributos de um nó ou aresta
+ * @param {Object} attributes Atributos
+ * @param {Object[]} declarations Declarações dos atributos
+ * @returns {String} Elemento attvalues (vazio se não houver atributos)
+ */
+function gexfAttValues (attributes = {}, declarations) {
+  const attvalues = declarations
+    .filter(({ title }) => attributes[title] !== null && typeof attributes[title] !== 'undefined')
+    .map(({ id, title }) => `<attvalue for="${id}" value="${gexfValue(attributes[title])}"/>`)
+  return attvalues.length ? `<attvalues>${attvalues.join('')}</attvalues>` : ''
+}
+
+/**
+ * Escreve o elemento viz:color a partir de uma cor CSS hexadecimal
+ * @param {String} color Cor hexadecimal
+ * @param {Number} [opacity] Opacidade de 0 a 1
+ * @returns {String} Elemento viz:color (vazio se não houver cor)
+ */
+function gexfColor (color, opacity) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '')
+  if (!match) {
+    return ''
+  }
+  const [r, g, b] = match.slice(1).map(c => parseInt(c, 16))
+  return `<viz:color r="${r}" g="${g}" b="${b}"${typeof opacity !== 'undefined' ? ` a="${opacity}"` : ''}/>`
+}
+
+/**
+ * Escreve um grafo (formato de dados do construtor) no formato GEXF 1.2, com as
+ * extensões de visualização (viz:position, viz:color e viz:size)
+ * @param {Object} data Dados da rede { nodes, edges, directed }
+ * @returns {String} Conteúdo GEXF
+ */
+export function writeGEXF (data) {
+  const nodeDeclarations = gexfDeclarations(data.nodes)
+  const edgeDeclarations = gexfDeclarations(data.edges)
+  const declare = (type, declarations) => declarations.length
+    ? [
+        `    <attributes class="${type}">`,
+        ...declarations.map(({ id, title, type }) => `      <attribute id="${id}" title="${escapeXML(title)}" type="${type}"/>`),
+        '    </attributes>'
+      ]
+    : []
+  const nodes = data.nodes.map((node) => {
+    const label = typeof node.label !== 'undefined' && node.label !== null ? ` label="${escapeXML(node.label)}"` : ''
+    return [
+      `      <node id="${escapeXML(node.id)}"${label}>`,
+      gexfAttValues(node.attributes, nodeDeclarations),
+      typeof node.x === 'number' ? `<viz:position x="${node.x}" y="${node.y}" z="0"/>` : '',
+      typeof node.size === 'number' ? `<viz:size value="${node.size}"/>` : '',
+      gexfColor(node.color),
+      '</node>'
+    ].join('')
+  })
+  const edges = data.edges.map((edge, i) => {
+    const weight = typeof edge.weight === 'number' ? ` weight="${edge.weight}"` : ''
+    return [
+      `      <edge id="${escapeXML(edge.id ?? i)}" source="${escapeXML(edge.sourceID)}" target="${escapeXML(edge.targetID)}"${weight}>`,
+      gexfAttValues(edge.attributes, edgeDeclarations),
+      gexfColor(edge.color, edge.opacity),
+      '</edge>'
+    ].join('')
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://www.gexf.net/1.2draft" xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">',
+    `  <graph mode="static" defaultedgetype="${data.directed ? 'directed' : 'undirected'}">`,
+    ...declare('node', nodeDeclarations),
+    ...declare('edge', edgeDeclarations),
+    '    <nodes>',
+    ...nodes,
+    '    </nodes>',
+    '    <edges>',
+    ...edges,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>'
+  ].join('\n')
+}
@@ -8,20 +8,53 @@ import createRegl from 'regl' // https://github.com/regl-project/regl
 import createGraph from 'ngraph.graph' // https://github.com/anvaka/ngraph.graph
 import KDBush from 'kdbush' // https://github.com/mourner/kdbush
 import {
+  color as d3Color,
   scaleLinear,
   select,
   extent as d3Extent,
   zoom as d3Zoom,
-  zoomIdentity
+  zoomIdentity,
+  zoomTransform
 } from 'd3' // https://github.com/d3/d3
 import { mat3, vec3} from 'gl-matrix'; // https://glmatrix.net/docs/
 import * as _get from 'lodash/get' // https://lodash.com/docs/
 import * as _has from 'lodash/has' // https://lodash.com/docs/
 import * as _set from 'lodash/set' // https://lodash.com/docs/
-import { drawPoints, drawEdges, drawCircle } from './commands'
+import { drawPoints, drawEdges, drawArrows, drawCircle, drawPolygon, makeShapeOutline, NODE_SHAPES } from './commands'
 import { createTooltip } from './tooltip'
+import { createLayout, initialLayoutPosition } from './layout'
+import { createLabels } from './labels'
+import { parseGEXF, parseGraphML, parseDOT, parseCytoscapeJSON } from './importers'
+import { validateData, validationError } from './validation'
+import { escapeXML, cssColor, hexColor, round, writeGEXF } from './exporters'
+import { createColorScale, createSizeScale } from './encodings'
+import { createLegend } from './legend'
+import { createImageAtlas } from './images'
+import { createAnnouncer } from './announcer'
+import { shortestPath } from './paths'
+import { getEgoNetwork, getEgoEdgeDistance } from './ego'
 import './style.scss'
 
+// Propriedades internas dos dados dos nós e das arestas no modelo do grafo (ngraph).
+// As demais propriedades são os atributos informados nos dados.
+const NODE_DATA_KEYS = ['color', 'label', 'x', 'y', 'index', 'position', 'size', 'rawSize', 'shape', 'image', 'borderColor', 'borderWidth']
+const EDGE_DATA_KEYS = ['weight', 'rawWeight', 'color', 'opacity', 'index', 'slot']
+
+// Gestos de toque: deslocamento máximo (px) de um toque, duração (ms) do toque longo
+// e intervalo máximo (ms) entre os toques de um toque duplo
+const TAP_DISTANCE = 10
+const LONG_PRESS_DELAY = 500
+const DOUBLE_TAP_DELAY = 300
+
+// Navegação pelo teclado: direções das setas, fator de zoom (+/-) e deslocamento
+// (proporção do tamanho do canvas) das setas com modificador
+const KEYBOARD_DIRECTIONS = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+const KEYBOARD_ZOOM = 1.5
+const KEYBOARD_PAN = 0.1
+// Instruções de uso pelo teclado (descrição do canvas para os leitores de tela)
+const KEYBOARD_HELP = 'Use Tab ou as setas para navegar entre um nó e seus vizinhos, Enter para selecionar o nó, ' +
+  '+ e - para o zoom, shift e as setas para mover a visualização e Esc para desfazer a seleção.'
+
 /**
  * Classe ReglGraph
  */
@@ -62,6 +95,25 @@ export default class ReglGraph {
     this.tooltip = null
     // Módulo de buscas de pontos em uma área ou raio
     this.searchIndex = null
+    // Escalas utilizadas na carga dos dados (reaproveitadas nas alterações incrementais)
+    this.scales = null
+    // Controlador do layout de forças (Web Worker)
+    this.layout = null
+    // Controlador dos rótulos dos nós
+    this.labels = null
+    // Controlador da legenda (elemento HTML sobreposto ao canvas)
+    this.legend = null
+    // Atlas das imagens (ícones) dos nós
+    this.images = null
+    // Anúncios para leitores de tela (região ARIA live)
+    this.announcer = null
+    // Relatório da validação dos dados (problemas encontrados desde a última carga completa)
+    this.diagnostics = null
+    // Monitora o tamanho do container (ResizeObserver)
+    this.resizeObserver = null
+    // Monitora a alteração da densidade de pixels da tela (matchMedia)
+    this.pixelRatioQuery = null
+    this.pixelRatioListener = null
     // Eventos da biblioteca
     this.events = {}
     // Armazena os watchers que monitoram alterações em variáveis
@@ -77,16 +129,44 @@ export default class ReglGraph {
       showEdgesOnMove: false,
       nodesSizeRange: [5, 30],
       defaultNodesOpacity: 1,
+      defaultNodesShape: 'circle',
+      defaultNodesBorderColor: '#FFFFFF',
+      defaultNodesBorderWidth: 0,
       defaultEdgesOpacity: 0.05,
       defaultEdgesColor: '#FFFFFF',
+      edgesColorMode: 'edge',
+      directed: false,
+      arrowSize: 6,
+      curvedEdges: false,
+      edgesCurvature: 0.2,
       edgesWeightRange: [1, 5],
       containerMargin: 0,
+      autoResize: true,
       zoomExtent: [1, 500],
+      gpuPicking: false,
+      lockNodesPositions: false,
+      neighborsDepth: 1,
+      neighborsDirection: 'both',
+      neighborsFading: 0.3,
+      ariaLabel: 'Grafo',
       drawSelectedCircle: true,
       selectedCircleColor: '#dfff00',
       selectedCirclePoints: 30,
+      pathColor: '#dfff00',
       tooltipAttributes: [],
       tooltipFormat: this.tooltipDefaultFormat,
+      showLabels: false,
+      labelsFont: 'Verdana, Geneva, Tahoma, sans-serif',
+      labelsSize: 12,
+      labelsColor: '#FFFFFF',
+      labelsMinZoom: 1,
+      labelsMinNodeSize: 10,
+      labelsPadding: 4,
+      labelsPriority: 'size',
+      legend: false,
+      layout: 'auto',
+      layoutOptions: {},
+      validation: 'lenient',
       log: true
     }
     // Variáveis gerais do grafo
@@ -95,6 +175,7 @@ export default class ReglGraph {
       canvasID: null,
       width: null,
       height: null,
+      pixelRatio: 1,
       regl: null,
       graph: null,
       nodeIndex: null,
@@ -110,15 +191,75 @@ export default class ReglGraph {
       mouseDown: false,
       hoveredNode: -1,
       hoverNeighbors: [],
+      // Distâncias (saltos) por ID dos nós das redes ego dos nós realçado e selecionado
+      hoverDistances: new Map(),
       selectedNode: -1,
       selectedNeighbors: [],
+      selectedDistances: new Map(),
+      // Os buffers das arestas das redes ego precisam ser recalculados
+      egoDirty: true,
+      selectedNodes: [],
+      selectionShape: null,
+      // Nó sendo arrastado { index, origin, offset, threshold, moved }
+      draggedNode: null,
+      // Toque em andamento { id, origin, moved, longPress, timer } e último toque { node, time }
+      touch: null,
+      lastTap: null,
+      // Nó em foco na navegação pelo teclado e nó cujos vizinhos são percorridos com Tab (IDs)
+      keyboardFocus: null,
+      ignoreClick: false,
       highlightedNodes: [],
-      inAnimation: false
+      // Caminho destacado { source, target, nodes, links, distance } e modo de seleção de
+      // caminhos pelo clique { options, source }
+      path: null,
+      pathMode: null,
+      filter: null,
+      // Codificações visuais por atributo { attribute, options, scale }
+      encodings: {
+        nodeColor: null,
+        nodeSize: null,
+        edgeColor: null,
+        edgeWidth: null
+      },
+      // Chave do item da legenda destacado ou isolado
+      legendEntry: null,
+      inAnimation: false,
+      missingCoordinates: false,
+      frameRequest: null,
+      pickingDirty: true,
+      pickingDataDirty: true,
+      // Capacidade (número de nós) dos buffers dos nós, que crescem ao acrescentar nós
+      nodesCapacity: 0,
+      destroyed: false
     }
     // Variável dos buffers
     this.buffers = {
       nodes: null,
-      edges: new Map()
+      nodesColors: null,
+      nodesSizes: null,
+      nodesVisibility: null,
+      nodesStyles: null,
+      nodesBorderColors: null,
+      edges: new Map(),
+      edgesColors: new Map(),
+      edgesSizes: new Map(),
+      edgesVisibility: new Map(),
+      edgesEgo: new Map(),
+      overlays: {},
+      path: null,
+      selectionShape: null
+    }
+    // Renderização de seleção (picking): framebuffer, cores que codificam os índices e arestas por índice
+    this.picking = null
+    // Comandos regl (compilados uma única vez por instância)
+    this.commands = null
+    // Estatísticas de renderização
+    this.stats = {
+      frames: 0,
+      requests: 0,
+      lastFrameTime: 0,
+      averageFrameTime: 0,
+      maxFrameTime: 0
     }
 
     /**
@@ -130,47 +271,112 @@ export default class ReglGraph {
     this.init(data)
   }
 
+  /**
+   * Converte um grafo no formato GEXF (Gephi) para o formato de dados do construtor
+   * @param {String} xml Conteúdo GEXF
+   * @returns {Object} Dados da rede { nodes, edges, directed }
+   */
+  static fromGEXF (xml) {
+    return parseGEXF(xml)
+  }
+
+  /**
+   * Converte um grafo no formato GraphML (NetworkX, yEd, Gephi) para o formato de dados do construtor
+   * @param {String} xml Conteúdo GraphML
+   * @returns {Object} Dados da rede { nodes, edges, directed }
+   */
+  static fromGraphML (xml) {
+    return parseGraphML(xml)
+  }
+
+  /**
+   * Converte um grafo no formato DOT (Graphviz) para o formato de dados do construtor
+   * @param {String} dot Conteúdo DOT
+   * @returns {Object} Dados da rede { nodes, edges, directed }
+   */
+  static fromDOT (dot) {
+    return parseDOT(dot)
+  }
+
+  /**
+   * Converte um grafo nos formatos JSON do Cytoscape.js ou do Sigma.js para o formato de dados do construtor
+   * @param {String|Object} json Conteúdo JSON (texto ou objeto)
+   * @returns {Object} Dados da rede { nodes, edges, directed }
+   */
+  static fromCytoscapeJSON (json) {
+    return parseCytoscapeJSON(json)
+  }
+
   /**
    * ----------------------------------------------------------------------
    * Iniciando a plotagem do grafo
    * @param {Object} data Dados da rede com nós (nodes) e arestas (edges)
    */
   init (data) {
+    // Validando os dados antes da criação do canvas (no modo 'strict' um erro é lançado).
+    // O evento 'dataerror' é adiado para que os listeners registrados após o construtor o recebam.
+    data = this.validate(data, { deferEvent: true })
+
     // Iniciando os elementos HTML (criação do canvas)
     this.app.canvas = this.initCanvas()
     // Preenchendo dados relacionados ao canvas criado
     this.app.canvas.id = this.app.canvasID = `graph-${this.uuid()}`
-    this.app.width = this.app.canvas.clientWidth
-    this.app.height = this.app.canvas.clientHeight
     this.state.projection = mat3.projection(mat3.create(), this.app.width, this.app.height)
     // console.log('canvas criado:', this.app.canvas)
 
     // Iniciando o módulo de tooltips no canvas
     this.tooltip = createTooltip(this.app.canvas)
 
+    // Acessibilidade: canvas focável pelo teclado, com instruções e anúncios para leitores de tela
+    this.announcer = createAnnouncer(this.container, `${this.app.canvasID}-help`, KEYBOARD_HELP)
+    this.app.canvas.tabIndex = 0
+    this.app.canvas.setAttribute('role', 'application')
+    this.app.canvas.setAttribute('aria-roledescription', 'grafo')
+    this.app.canvas.setAttribute('aria-label', this.getOption('ariaLabel'))
+    this.app.canvas.setAttribute('aria-describedby', `${this.app.canvasID}-help`)
+
+    // Atlas das imagens dos nós (carregadas de forma assíncrona)
+    this.images = createImageAtlas(
+      () => this.render(),
+      url => this.getOption('log') && console.warn('Imagem não carregada:', url)
+    )
+
     // Carregando e formatando os dados do grafo (graph, nodeIndex, matrices)
     this.loadData(data)
     // console.log('dados gerais:', app)
     // console.log('Matrizes:', matrices)
 
     // Módulo que executa busca de nós pela posição do mouse (over e clique)
-    this.searchIndex = new KDBush(this.matrices.nodesPositions)
+    this.loadSearchIndex()
 
     // Iniciando o estado de posicionamento e zoom do grafo
     mat3.translate(this.state.transform, this.state.transform, [0, 0])
 
     // Iniciando a funcionalidade de zoom
+    // (shift e alt + arrastar são reservados à seleção por retângulo e laço e,
+    // sobre um nó, o arraste move o nó)
     this.app.zoom = d3Zoom()
       .extent([[0, 0], [this.app.width, this.app.height]])
       .scaleExtent(this.getOption('zoomExtent'))
+      .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+        (event.type === 'wheel' || !(event.shiftKey || event.altKey)) && this.state.draggedNode === null)
       .on("zoom", this.handleZoom.bind(this))
       .on("end", this.handleMouseUp.bind(this))
 
-    // Aplicando os tratamentos de eventos e funcionalidade de zoom ao canvas
+    // Aplicando os tratamentos de eventos e funcionalidade de zoom ao canvas.
+    // Mouse, caneta e toque são tratados com Pointer Events; a pinça e o arraste com dois
+    // dedos ficam com o zoom (eventos de toque). O toque é tratado em handlePointerUp e os
+    // eventos de mouse emulados pelo navegador (e o clique) são descartados.
     select(`#${this.app.canvasID}`)
-      .on('mousedown', this.handleMouseDown.bind(this))
-      .on('mousemove', this.handleMouseMove.bind(this))
+      .on('pointerdown', this.handlePointerDown.bind(this))
+      .on('pointermove', this.handlePointerMove.bind(this))
+      .on('pointerup', this.handlePointerUp.bind(this))
+      .on('pointercancel', this.handlePointerCancel.bind(this))
       .on('click', this.handleClick.bind(this))
+      .on('keydown', this.handleKeyDown.bind(this))
+      .on('blur', this.handleBlur.bind(this))
+      // Antes do zoom, que interrompe a propagação do evento
+      .on('touchend.tap', event => event.cancelable && event.preventDefault())
       .call(this.app.zoom)
       .on('dblclick.zoom', null)
 
@@ -182,14 +388,41 @@ export default class ReglGraph {
       extensions: ['ANGLE_instanced_arrays', 'OES_standard_derivatives']
     })
 
+    // Compilando os comandos regl
+    this.commands = {
+      drawPoints: drawPoints(this.app.regl),
+      drawEdges: drawEdges(this.app.regl),
+      drawArrows: drawArrows(this.app.regl),
+      drawCircle: drawCircle(this.app.regl),
+      drawPolygon: drawPolygon(this.app.regl),
+      pickPoints: drawPoints(this.app.regl, true),
+      pickEdges: drawEdges(this.app.regl, true),
+      pickArrows: drawArrows(this.app.regl, true)
+    }
+
+    // Iniciando os rótulos dos nós
+    this.labels = createLabels(this.app.regl)
+
     // Preenchendo os buffers
     this.loadBuffers()
 
     // Registrando watchers
     this.registerWatcher('state.hoveredNode', this.hoveredNodeWatcher.bind(this))
 
+    // Monitorando o tamanho do container e a densidade de pixels da tela
+    if (this.getOption('autoResize')) {
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizeObserver = new ResizeObserver(() => this.resize())
+        this.resizeObserver.observe(this.container)
+      }
+      this.watchPixelRatio()
+    }
+
     // Primeira renderização
     this.render()
+
+    // Layout de forças para os dados sem coordenadas
+    this.autoLayout()
   }
 
   /**
@@ -200,14 +433,105 @@ export default class ReglGraph {
   initCanvas () {
     const canvas = document.createElement('canvas')
     // canvas.id = 'regl-graph-canvas'
+    // Os gestos de toque são tratados pelo grafo, sem rolagem, zoom ou menu da página
+    canvas.style.touchAction = 'none'
+    canvas.style.userSelect = 'none'
+    canvas.style.setProperty('-webkit-touch-callout', 'none')
     this.container.appendChild(canvas)
     const containerMargin = this.getOption('containerMargin')
-    canvas.width = this.container.clientWidth - containerMargin
-    canvas.height = this.container.clientHeight - containerMargin
+    this.setCanvasSize(
+      canvas,
+      this.container.clientWidth - containerMargin,
+      this.container.clientHeight - containerMargin,
+      window.devicePixelRatio || 1
+    )
 
     return canvas
   }
 
+  /**
+   * Atribui o tamanho do canvas: tamanho CSS (utilizado nos cálculos do grafo) e
+   * tamanho do buffer de desenho (tamanho CSS × densidade de pixels da tela)
+   * @param {HTMLCanvasElement} canvas Canvas do grafo
+   * @param {Number} width Largura CSS
+   * @param {Number} height Altura CSS
+   * @param {Number} pixelRatio Densidade de pixels da tela (devicePixelRatio)
+   */
+  setCanvasSize (canvas, width, height, pixelRatio) {
+    canvas.width = Math.round(width * pixelRatio)
+    canvas.height = Math.round(height * pixelRatio)
+    canvas.style.width = `${width}px`
+    canvas.style.height = `${height}px`
+    this.app.width = width
+    this.app.height = height
+    this.app.pixelRatio = pixelRatio
+  }
+
+  /**
+   * Monitora a alteração da densidade de pixels da tela (ex.: janela movida para outro monitor)
+   */
+  watchPixelRatio () {
+    if (typeof window.matchMedia !== 'function') {
+      return
+    }
+    this.pixelRatioListener = () => {
+      this.pixelRatioQuery.removeEventListener('change', this.pixelRatioListener)
+      this.resize()
+      this.watchPixelRatio()
+    }
+    this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+    this.pixelRatioQuery.addEventListener('change', this.pixelRatioListener)
+  }
+
+  /**
+   * Ajusta o grafo ao tamanho atual do container, mantendo o nível de zoom e o centro
+   * da visualização. Executado automaticamente com a opção 'autoResize', mas pode ser
+   * chamado por aplicações que gerenciam o tamanho do container.
+   */
+  resize () {
+    if (this.state.destroyed) {
+      return
+    }
+    const containerMargin = this.getOption('containerMargin')
+    const width = this.container.clientWidth - containerMargin
+    const height = this.container.clientHeight - containerMargin
+    const pixelRatio = window.devicePixelRatio || 1
+    // Container oculto ou sem alterações
+    if (width <= 0 || height <= 0 || (width === this.app.width && height === this.app.height && pixelRatio === this.app.pixelRatio)) {
+      return
+    }
+    // Centro da visualização nas coordenadas dos dados
+    const { x, y, k } = zoomTransform(this.app.canvas)
+    const center = [
+      this.scales.x.invert((this.app.width / 2 - x) / k),
+      this.scales.y.invert((this.app.height / 2 - y) / k)
+    ]
+    this.setCanvasSize(this.app.canvas, width, height, pixelRatio)
+    mat3.projection(this.state.projection, width, height)
+    this.app.zoom.extent([[0, 0], [width, height]])
+    // Atualizando o viewport do regl com o novo tamanho do buffer de desenho
+    this.app.regl.poll()
+    // Reenquadrando a rede no novo tamanho
+    const positions = new Float32Array(this.app.nodeIndex.size * 2)
+    this.app.nodeIndex.forEach((id, index) => {
+      const data = this.app.graph.getNode(id).data
+      positions[index * 2] = data.x
+      positions[index * 2 + 1] = data.y
+    })
+    this.updatePositions(positions)
+    // Restaurando o centro da visualização com o mesmo nível de zoom
+    select(`#${this.app.canvasID}`).call(
+      this.app.zoom.transform,
+      zoomIdentity
+        .translate(width / 2 - k * this.scales.x(center[0]), height / 2 - k * this.scales.y(center[1]))
+        .scale(k)
+    )
+    // O redimensionamento limpa o canvas: renderizando imediatamente para evitar um quadro vazio
+    this.draw()
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('resize', { width, height, pixelRatio })
+  }
+
   /**
    * Carrega os dados da rede e formata outras variáveis necessárias para o grafo
    * @param {Object} data Dados da rede com nós (nodes) e arestas (edges)
@@ -220,17 +544,20 @@ export default class ReglGraph {
     this.matrices = {
       nodesPositions: [],
       edgesPositionsByWeight: new Map(),
+      edgesColorsByWeight: new Map(),
+      edgesSizesByWeight: new Map(),
+      edgesVisibilityByWeight: new Map(),
       nodeColors: [],
-      sizes: []
+      sizes: [],
+      nodesVisibility: [],
+      nodesStyles: [],
+      nodesBorderColors: []
     }
 
     // Configurações
     const nodesSizeRange = this.getOption('nodesSizeRange')
-    const graphMargin = this.getOption('graphMargin')
     const edgesWeightRange = this.getOption('edgesWeightRange')
-    const defaultNodesOpacity = this.getOption('defaultNodesOpacity')
     const showEdges = this.getOption('showEdges')
-    const defaultEdgesColor = this.getOption('defaultEdgesColor')
 
     // Obtendo todas as extensões em uma única iteração
     const extents = {
@@ -239,30 +566,31 @@ export default class ReglGraph {
       y: [Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY],
       weight: [Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY]
     }
-    // Verificando se existe a propriedade size nas arestas
+    // Extensão dos pesos das arestas (propriedade size ou weight de cada aresta)
     if (showEdges) {
-      if (typeof edges[0].size !== 'undefined' || typeof edges[0].weight !== 'undefined') {
-        const weightName = edges[0].size ? 'size' : 'weight'
-        extents.weight = d3Extent(edges.map(e => e[weightName]))
-      } else {
-        extents.weight = [0, 1]
-      }
+      const weights = edges
+        .map(e => typeof e.size !== 'undefined' ? e.size : e.weight)
+        .filter(w => typeof w === 'number')
+      extents.weight = weights.length ? d3Extent(weights) : [0, 1]
     }
-    nodes.forEach((node) => {
-      if (node.size < extents.size[0]) {
-        extents.size[0] = node.size
+    // Nós sem coordenadas recebem uma posição inicial para o layout de forças
+    const coordinates = nodes.map(node => this.getNodeCoordinates(node))
+    this.state.missingCoordinates = coordinates.some(c => c === null)
+    nodes.forEach((node, i) => {
+      if (typeof node.size === 'number') {
+        extents.size[0] = this.minNumber(extents.size[0], node.size)
+        extents.size[1] = this.maxNumber(extents.size[1], node.size)
       }
-      if (node.size > extents.size[1]) {
-        extents.size[1] = node.size
+      if (coordinates[i] === null) {
+        coordinates[i] = this.getInitialLayoutPosition(i)
       }
-      const x = node.x ? node.x : node.position.x
+      const { x, y } = coordinates[i]
       if (x < extents.x[0]) {
         extents.x[0] = x
       }
       if (x > extents.x[1]) {
         extents.x[1] = x
       }
-      const y = node.y ? node.y : node.position.y
       if (y < extents.y[0]) {
         extents.y[0] = y
       }
@@ -271,320 +599,2041 @@ export default class ReglGraph {
       }
     })
 
-    // Pegando os acréscimos de margem da plotagem para enquadrar a rede na tela sem deformar o layout
-    const { marginXIncrease, marginYIncrease } = this.layoutAspectRatio(extents.x, extents.y)
-
-    // Escalas
-    const scales = {
+    // Nenhum nó com tamanho
+    if (extents.size[0] > extents.size[1]) {
+      extents.size = [1, 1]
+    }
+    // Escalas (tamanho e peso limitados à extensão para os dados acrescentados posteriormente)
+    this.scales = {
       size: scaleLinear()
         .domain(extents.size)
-        .range(nodesSizeRange),
-      x: scaleLinear()
-        .domain(extents.x)
-        .range([graphMargin + marginXIncrease, this.app.width - graphMargin - marginXIncrease]),
-      y: scaleLinear()
-        .domain(extents.y)
-        .range([graphMargin + marginYIncrease, this.app.height - graphMargin - marginYIncrease]),
+        .range(nodesSizeRange)
+        .clamp(true),
       weight: scaleLinear()
         .domain(extents.weight)
         .rangeRound(extents.weight[0] === extents.weight[1] ? [1, 1] : edgesWeightRange)
+        .clamp(true)
     }
+    this.fitScales(extents.x, extents.y)
 
     // Nós
     nodes.forEach((node, i) => {
-      const x = node.x ? node.x : node.position.x
-      const y = node.y ? node.y : node.position.y
-      const position = [scales.x(x), scales.y(y), i]
-      const size = scales.size(node.size)
-      // Adicionando o nó no modelo de grafo
-      this.app.graph.addNode(node.id, {
-        color: node.color,
-        label: node.label,
-        y,
-        x,
-        index: i,
-        position,
-        size,
-        ...(node.attributes ? node.attributes : {})
-      })
-      // Alimentando o índice de nós
-      this.app.nodeIndex.set(i, node.id)
-      // Preenchendo os arrays para os shaders
-      this.matrices.nodesPositions.push(position)
-      this.matrices.nodeColors.push(node.color ? this.glslColor(node.color, defaultNodesOpacity) : [1, 1, 1, defaultNodesOpacity])
-      this.matrices.sizes.push(size)
+      this.insertNode(node, coordinates[i])
     })
     this.getOption('log') && console.info('Nós carregados:', nodes.length)
     // Arestas
     if (showEdges) {
-      edges.forEach((edge, i) => {
-        const weight = typeof edge.size !== 'undefined' ? scales.weight(edge.size) : typeof edge.weight !== 'undefined' ? scales.weight(edge.weight) : 1
-        const color = typeof edge.color !== 'undefined' ? edge.color : defaultEdgesColor
-        this.app.graph.addLink(edge.sourceID || edge.source, edge.targetID || edge.target, {
-          weight,
-          color,
-          index: i,
-          ...(edge.attributes ? edge.attributes : {})
-        });
-        // Preenchendo os arrays para os shaders
-        const source = this.app.graph.getNode(edge.sourceID || edge.source)
-        const target = this.app.graph.getNode(edge.targetID || edge.target)
-        // Separando as arestas por peso
-        if (!this.matrices.edgesPositionsByWeight.has(weight)) {
-          this.matrices.edgesPositionsByWeight.set(weight, [])
-        }
-        this.matrices.edgesPositionsByWeight.get(weight).push(source.data.position)
-        this.matrices.edgesPositionsByWeight.get(weight).push(target.data.position)
-        /* this.matrices.edgesPositionsByWeight.get(weight).push(source.data.position.slice(0,2))
-        this.matrices.edgesPositionsByWeight.get(weight).push(target.data.position.slice(0,2)) */
+      edges.forEach((edge) => {
+        this.insertEdge(edge)
       })
       this.getOption('log') && console.info('Arestas carregadas:', edges.length)
     }
   }
 
   /**
-   * Cálculos para enquadrar a rede na tela de exibição sem alterar o layout da rede
+   * Valida os dados da rede, registrando os problemas encontrados no relatório (getDiagnostics).
+   * No modo 'strict' um erro é lançado se houver problemas; no modo 'lenient' os registros
+   * inválidos são descartados ou corrigidos e o evento 'dataerror' é disparado.
+   * @param {Object} data Dados da rede { nodes, edges }
+   * @param {Object} [options] Opções { incremental, deferEvent }
+   * @param {Boolean} [options.incremental] Validação de dados acrescentados ao grafo atual
+   * @param {Boolean} [options.deferEvent] Dispara o evento 'dataerror' de forma assíncrona
+   * @returns {Object} Dados válidos { nodes, edges }
+   */
+  validate (data, { incremental = false, deferEvent = false } = {}) {
+    const mode = this.getOption('validation')
+    const { nodes, edges, issues } = validateData(data, {
+      showEdges: this.getOption('showEdges'),
+      hasNode: id => incremental && !!this.app.graph.getNode(id),
+      isColor: color => this.glslColor(color) !== null,
+      isShape: shape => NODE_SHAPES.includes(shape)
+    })
+    if (mode === 'strict' && issues.length) {
+      throw validationError(issues)
+    }
+    // Relatório acumulado desde a última carga completa
+    if (!incremental || !this.diagnostics) {
+      this.diagnostics = {
+        mode,
+        issues: [],
+        nodes: { received: 0, loaded: 0 },
+        edges: { received: 0, loaded: 0 }
+      }
+    }
+    this.diagnostics.issues.push(...issues)
+    this.diagnostics.nodes.received += (data.nodes || []).length
+    this.diagnostics.nodes.loaded += nodes.length
+    this.diagnostics.edges.received += (data.edges || []).length
+    this.diagnostics.edges.loaded += edges.length
+    if (issues.length) {
+      this.getOption('log') && console.warn(`Problemas encontrados nos dados da rede (${issues.length}):`, issues)
+      const raise = () => this.raiseEvent('dataerror', { mode, issues })
+      deferEvent ? Promise.resolve().then(raise) : raise()
+    }
+    return { ...data, nodes, edges }
+  }
+
+  /**
+   * Retorna o relatório da validação dos dados: problemas encontrados (issues) desde a última
+   * carga completa (construtor ou setData), com as quantidades de nós e arestas recebidos
+   * e carregados. Cada problema contém { type, item, index, id, field, action, message }.
+   * @returns {Object} { mode, issues, counts, nodes: { received, loaded }, edges: { received, loaded } }
+   */
+  getDiagnostics () {
+    if (!this.diagnostics) {
+      return null
+    }
+    const counts = {}
+    this.diagnostics.issues.forEach(({ type }) => {
+      counts[type] = (counts[type] || 0) + 1
+    })
+    return {
+      mode: this.diagnostics.mode,
+      issues: [...this.diagnostics.issues],
+      counts,
+      nodes: { ...this.diagnostics.nodes },
+      edges: { ...this.diagnostics.edges }
+    }
+  }
+
+  /**
+   * Atualiza as escalas de posição (x e y) para enquadrar a rede na tela
    * @param {Number[]} xExtent Extensão das posições X do grafo
    * @param {Number[]} yExtent Extensão das posições Y do grafo
-   * @returns {Object} Incrementos para as margens horizontal e vertical do grafo
    */
-  layoutAspectRatio (xExtent, yExtent) {
+  fitScales (xExtent, yExtent) {
     const graphMargin = this.getOption('graphMargin')
-    const factorX = (this.app.width - graphMargin * 2) / Math.ceil(xExtent[1] - xExtent[0])
-    const factorY = (this.app.height - graphMargin * 2) / Math.ceil(yExtent[1] - yExtent[0])
-    const factor = Math.min(factorX, factorY)
-    const marginXIncrease = ((this.app.width - graphMargin * 2) - (factor * Math.ceil(xExtent[1] - xExtent[0]))) / 2
-    const marginYIncrease = ((this.app.height - graphMargin * 2) - (factor * Math.ceil(yExtent[1] - yExtent[0]))) / 2
-    return { marginXIncrease, marginYIncrease }
+    // Pegando os acréscimos de margem da plotagem para enquadrar a rede na tela sem deformar o layout
+    const { marginXIncrease, marginYIncrease } = this.layoutAspectRatio(xExtent, yExtent)
+    this.scales.x = scaleLinear()
+      .domain(xExtent)
+      .range([graphMargin + marginXIncrease, this.app.width - graphMargin - marginXIncrease])
+    this.scales.y = scaleLinear()
+      .domain(yExtent)
+      .range([graphMargin + marginYIncrease, this.app.height - graphMargin - marginYIncrease])
   }
 
   /**
-   * Atualiza o estado de posição e zoom do grafo
-   * @param {Number} x Deslocamento do palco no eixo X
-   * @param {Number} y Deslocamento do palco no eixo Y
-   * @param {Number} scale Escala do zoom
+   * Retorna as coordenadas informadas nos dados de um nó
+   * @param {Object} node Dados do nó
+   * @returns {Object|null} Coordenadas { x, y } ou null se não houver
    */
-  updateTransform (x, y, scale) {
-    mat3.identity(this.state.transform)
-    mat3.translate(this.state.transform, this.state.transform, [x, y])
-    mat3.scale(this.state.transform, this.state.transform, [scale, scale])
-    mat3.translate(this.state.transform, this.state.transform, [0, 0])
-    mat3.projection(this.state.projection, this.app.width, this.app.height)
+  getNodeCoordinates (node) {
+    const x = node.x ?? _get(node, 'position.x')
+    const y = node.y ?? _get(node, 'position.y')
+    return typeof x === 'number' && typeof y === 'number' ? { x, y } : null
   }
 
   /**
-   * Retorna a posição x e y relativa do mouse (cursor)
-   * @param {Object} event Evento
-   * @returns {Number[]} Array com as posições do mouse [x, y]
+   * Retorna a posição inicial de um nó sem coordenadas
+   * @param {Number} index Índice do nó
+   * @returns {Object} Coordenadas { x, y }
    */
-  getRelativeMousePosition (event) {
-    const rect = event.target.getBoundingClientRect()
-    const mousePosition = []
+  getInitialLayoutPosition (index) {
+    return initialLayoutPosition(index, this.getOption('layoutOptions').springLength)
+  }
 
-    mousePosition[0] = (event.clientX - rect.left) // devicePixelRatio
-    mousePosition[1] = (event.clientY - rect.top) // devicePixelRatio
+  /**
+   * Acrescenta um nó ao modelo do grafo e às matrizes dos shaders
+   * @param {Object} node Dados do nó no mesmo formato aceito pelo construtor
+   * @param {Object} [coordinates] Coordenadas { x, y } (lidas do nó se não informadas)
+   * @returns {Number} Índice atribuído ao nó
+   */
+  insertNode (node, coordinates = null) {
+    const index = this.matrices.nodesPositions.length
+    const { x, y } = coordinates || this.getNodeCoordinates(node) || this.getInitialLayoutPosition(index)
+    const position = [this.scales.x(x), this.scales.y(y), index]
+    // Nós sem tamanho recebem o menor tamanho
+    const size = typeof node.size === 'number' ? this.scales.size(node.size) : this.getOption('nodesSizeRange')[0]
+    // Adicionando o nó no modelo de grafo
+    this.app.graph.addNode(node.id, {
+      color: node.color,
+      label: node.label,
+      y,
+      x,
+      index,
+      position,
+      size,
+      // Tamanho informado nos dados, antes da escala (exportado por toJSON)
+      rawSize: typeof node.size === 'number' ? node.size : undefined,
+      shape: node.shape,
+      image: node.image,
+      borderColor: node.borderColor,
+      borderWidth: node.borderWidth,
+      ...(node.attributes ? node.attributes : {})
+    })
+    // Alimentando o índice de nós
+    this.app.nodeIndex.set(index, node.id)
+    // Preenchendo os arrays para os shaders
+    const graphNode = this.app.graph.getNode(node.id)
+    this.matrices.nodesPositions.push(position)
+    this.matrices.nodeColors.push(this.getNodeColor(graphNode))
+    this.matrices.sizes.push(this.getNodeSize(graphNode))
+    const { style, borderColor } = this.getNodeStyle(graphNode)
+    this.matrices.nodesStyles.push(style)
+    this.matrices.nodesBorderColors.push(borderColor)
+    this.matrices.nodesVisibility.push(this.filterNode(node.id) ? 1 : 0)
+    return index
+  }
 
-    return [...mousePosition]
+  /**
+   * Acrescenta uma aresta ao modelo do grafo e às matrizes dos shaders
+   * @param {Object} edge Dados da aresta no mesmo formato aceito pelo construtor
+   * @returns {Number|null} Peso (espessura) da aresta ou null se algum dos nós não existir
+   */
+  insertEdge (edge) {
+    const sourceID = edge.sourceID ?? edge.source
+    const targetID = edge.targetID ?? edge.target
+    // Preenchendo os arrays para os shaders
+    const source = this.app.graph.getNode(sourceID)
+    const target = this.app.graph.getNode(targetID)
+    if (!source || !target) {
+      this.getOption('log') && console.warn('Aresta ignorada (nó inexistente):', sourceID, targetID)
+      return null
+    }
+    const rawWeight = edge.size ?? edge.weight
+    const link = this.app.graph.addLink(sourceID, targetID, {
+      weight: typeof rawWeight !== 'undefined' ? this.scales.weight(rawWeight) : 1,
+      // Peso informado nos dados, antes da escala (exportado por toJSON)
+      rawWeight,
+      color: edge.color,
+      ...(typeof edge.opacity !== 'undefined' ? { opacity: edge.opacity } : {}),
+      index: this.app.graph.getLinksCount(),
+      ...(edge.attributes ? edge.attributes : {})
+    });
+    // Separando as arestas por peso (espessura exibida)
+    const weight = this.getEdgeWeight(link)
+    if (!this.matrices.edgesPositionsByWeight.has(weight)) {
+      this.matrices.edgesPositionsByWeight.set(weight, [])
+      this.matrices.edgesColorsByWeight.set(weight, [])
+      this.matrices.edgesSizesByWeight.set(weight, [])
+      this.matrices.edgesVisibilityByWeight.set(weight, [])
+    }
+    // Posição da aresta nas matrizes do seu peso (atualizações pontuais dos buffers)
+    link.data.slot = this.matrices.edgesSizesByWeight.get(weight).length
+    this.matrices.edgesPositionsByWeight.get(weight).push(source.data.position)
+    this.matrices.edgesPositionsByWeight.get(weight).push(target.data.position)
+    this.matrices.edgesColorsByWeight.get(weight).push(...this.getEdgeColors(link))
+    this.matrices.edgesSizesByWeight.get(weight).push([this.matrices.sizes[source.data.index], this.matrices.sizes[target.data.index]])
+    this.matrices.edgesVisibilityByWeight.get(weight).push(this.isEdgeVisible(link) ? 1 : 0)
+    return weight
   }
 
   /**
-   * Manipulando o evento zoom no grafo
-   * @param {Object} event Evento
+   * Retorna as cores das extremidades (origem e destino) de uma aresta, de acordo com
+   * a configuração 'edgesColorMode':
+   * - edge: cor da própria aresta (ou 'defaultEdgesColor')
+   * - source: cor do nó de origem
+   * - target: cor do nó de destino
+   * - gradient: gradiente entre as cores dos nós de origem e destino
+   * @param {Object} link Objeto ngraph da aresta
+   * @returns {Number[][]} Cores no formato vec4 [corOrigem, corDestino]
    */
-  handleZoom (event) {
-    // settings.transform = e.transform
-    const { x, y, k } = event.transform
-    this.updateTransform(x, y, k)
-    // console.log('zoom:', settings.transform)
-    this.render()
-    // Disponibilizando o evento na biblioteca
-    this.raiseEvent('zoom', event.transform)
-    if (this.state.mouseDown) {
-      this.setCursorStyle('move')
-      // console.log('mousedown:', this.state.mouseDown)
+  getEdgeColors (link) {
+    const edgesColorMode = this.getOption('edgesColorMode')
+    const defaultEdgesColor = this.getOption('defaultEdgesColor')
+    const opacity = typeof link.data.opacity !== 'undefined' ? link.data.opacity : this.getOption('defaultEdgesOpacity')
+    const nodeColor = (id) => [...this.matrices.nodeColors[this.app.graph.getNode(id).data.index].slice(0, 3), opacity]
+    // A codificação por atributo (edgeColorBy) prevalece sobre o modo de coloração
+    const encoding = this.state.encodings.edgeColor
+    const encoded = encoding && encoding.scale.map(link.data[encoding.attribute])
+    if (encoded) {
+      const color = this.glslColor(encoded, opacity)
+      return [color, color]
+    }
+    switch (edgesColorMode) {
+      case 'source':
+        return [nodeColor(link.fromId), nodeColor(link.fromId)]
+      case 'target':
+        return [nodeColor(link.toId), nodeColor(link.toId)]
+      case 'gradient':
+        return [nodeColor(link.fromId), nodeColor(link.toId)]
+      default: {
+        const color = (link.data.color && this.glslColor(link.data.color, opacity)) || this.glslColor(defaultEdgesColor, opacity)
+        return [color, color]
+      }
     }
   }
 
   /**
-   * Reseta zoom e pan aplicando uma transição leve
+   * Retorna a cor exibida de um nó: a cor da codificação por atributo (colorBy) ou a cor do
+   * próprio nó (branco quando não informada ou inválida)
+   * @param {Object} node Objeto ngraph do nó
+   * @returns {Number[]} Cor no formato vec4
    */
-  reset () {
-    this.state.inAnimation = true
-    select(`#${this.app.canvasID}`)
-      .transition()
-      .duration(750)
-      .call(this.app.zoom.transform, zoomIdentity)
+  getNodeColor (node) {
+    const defaultNodesOpacity = this.getOption('defaultNodesOpacity')
+    const encoding = this.state.encodings.nodeColor
+    const color = (encoding && encoding.scale.map(node.data[encoding.attribute])) || node.data.color
+    return (color && this.glslColor(color, defaultNodesOpacity)) || [1, 1, 1, defaultNodesOpacity]
   }
 
   /**
-   * Manipulando o evento mousedown no grafo
-   * @param {Object} event Evento
+   * Retorna o tamanho exibido de um nó: o tamanho da codificação por atributo (sizeBy) ou o
+   * tamanho do próprio nó
+   * @param {Object} node Objeto ngraph do nó
+   * @returns {Number} Tamanho do nó
    */
-  handleMouseDown (event) {
-    this.state.mouseDown = true
-    // console.log('mousedown', this.state.mouseDown)
+  getNodeSize (node) {
+    const encoding = this.state.encodings.nodeSize
+    const size = encoding ? encoding.scale.map(node.data[encoding.attribute]) : null
+    return size ?? node.data.size
   }
 
   /**
-   * Manipulando o evento mouseup no grafo
-   * @param {Object} event Evento
+   * Retorna o estilo de um nó para os shaders: formato, borda e imagem (ou ícone)
+   * @param {Object} node Objeto ngraph do nó
+   * @returns {Object} { style: [formato, larguraBorda, índiceImagem], borderColor: vec4 }
    */
-  handleMouseUp (event) {
-    this.state.mouseDown = false
-    if (this.state.inAnimation) {
-      this.state.inAnimation = false
+  getNodeStyle (node) {
+    const shape = NODE_SHAPES.indexOf(node.data.shape ?? this.getOption('defaultNodesShape'))
+    const borderWidth = node.data.borderWidth ?? this.getOption('defaultNodesBorderWidth')
+    const borderColor = node.data.borderColor ?? this.getOption('defaultNodesBorderColor')
+    const opacity = this.getOption('defaultNodesOpacity')
+    return {
+      style: [this.maxNumber(shape, 0), borderWidth, this.images.getIndex(node.data.image)],
+      borderColor: this.glslColor(borderColor, opacity) || [1, 1, 1, opacity]
     }
-    this.render()
-    // console.log('mouseup', this.state.mouseDown)
   }
 
   /**
-   * Manipulando o evento mousemove no grafo
-   * @param {Object} event Evento
+   * Retorna o nome do formato de um nó
+   * @param {Number} index Índice do nó
+   * @returns {String} Formato (ver NODE_SHAPES)
    */
-  handleMouseMove (event) {
-    this.state.mousePosition = this.getRelativeMousePosition(event)
-    if (!this.state.mouseDown) {
-      const closestPoint = this.raycast()
-      const format = this.getOption('tooltipFormat')
-      if (closestPoint) {
-        /* // setHoverNeighbors deve sempre vir antes de setHoveredNode
-        if (closestPoint !== this.getHoveredNode()) {
-          this.setHoverNeighbors(closestPoint)
-          console.dir('Neighbors', getHoverNeighbors())
-        } */
-        const node = this.getNodeByIndex(closestPoint)
-        this.setHoveredNode(closestPoint)
-        this.setCursorStyle('pointer')
-        this.tooltip.show(node, format.bind(this))
-        // console.log('nó focus:', this.state.hoveredNode)
-      } else {
-        /* // setHoverNeighbors deve sempre vir antes de setHoveredNode
-        this.setHoverNeighbors() */
-        this.setHoveredNode()
-        this.setCursorStyle('default')
-        this.tooltip.hide()
-      }
-    }
+  getNodeShape (index) {
+    return NODE_SHAPES[this.matrices.nodesStyles[index][0]]
   }
 
   /**
-   * Manipulando o evento click no grafo
-   * @param {Object} event Evento
+   * Recalcula os estilos (formato, borda e imagem) de todos os nós e atualiza os buffers
    */
-  handleClick (event) {
-    const closestPoint = this.raycast()
-    let node = null
-    this.highlight()
-    if (closestPoint) {
-      this.setSelectedNode(closestPoint)
-      node = this.getNodeByIndex(closestPoint)
-    } else {
-      this.setSelectedNode()
-    }
-    // Disponibilizando o evento na biblioteca
-    this.raiseEvent('click', { event, node })
+  loadNodesStyles () {
+    this.app.nodeIndex.forEach((id, index) => {
+      const { style, borderColor } = this.getNodeStyle(this.app.graph.getNode(id))
+      this.matrices.nodesStyles[index] = style
+      this.matrices.nodesBorderColors[index] = borderColor
+    })
+    this.loadBuffers('nodes')
   }
 
   /**
-   * Atribui o nó (ponto) selecionado
-   * @param {Number} idx Índice do nó selecionado
+   * Retorna as propriedades do atlas de imagens para os comandos de renderização dos nós
+   * @returns {Object} { atlas, atlasGrid }
    */
-  setSelectedNode (idx = -1) {
-    if (this.state.selectedNode !== idx) {
-      this.state.selectedNode = idx
-      if (idx !== -1) {
-        const node = this.getNodeByIndex(idx)
-        this.setSelectedNeighbors(idx)
-        // console.log('nó selecionado:', node)
-        // Disponibilizando o evento na biblioteca
-        this.raiseEvent('nodeselect', node)
-      } else {
-        this.setSelectedNeighbors()
-      }
-      this.render()
+  getImagesProps () {
+    return {
+      atlas: this.images.getTexture(this.app.regl),
+      atlasGrid: this.images.getGrid()
     }
   }
 
   /**
-   * Retorna o nó selecionado
-   * @returns Nó selecionado ou -1 para nenhum
+   * Retorna a espessura exibida de uma aresta: a espessura da codificação por atributo
+   * (edgeWidthBy, arredondada para agrupar as arestas) ou o peso da própria aresta
+   * @param {Object} link Objeto ngraph da aresta
+   * @returns {Number} Espessura (peso) da aresta
    */
-  getSelectedNode () {
-    return this.state.selectedNode
+  getEdgeWeight (link) {
+    const encoding = this.state.encodings.edgeWidth
+    const weight = encoding ? encoding.scale.map(link.data[encoding.attribute]) : null
+    return weight !== null ? Math.round(weight) : link.data.weight
   }
 
   /**
-   * Atribui os vizinhos do nó (ponto) selecionado
-   * @param {Number[]} [index] Índice do nó selecionado
+   * (Re)cria as escalas das codificações por atributo a partir dos dados atuais e recalcula as
+   * cores e tamanhos dos nós e as matrizes das arestas
    */
-  setSelectedNeighbors (index = null) {
-    if (index !== null) {
-      const nodeIndexes = this.getNodeNeighbors(this.app.nodeIndex.get(index), true)
-      this.state.selectedNeighbors = nodeIndexes
-    } else {
-      this.state.selectedNeighbors = []
+  loadEncodings () {
+    const { nodeColor, nodeSize, edgeColor, edgeWidth } = this.state.encodings
+    const values = (forEach, attribute) => {
+      const result = []
+      forEach((item) => {
+        result.push(item.data[attribute])
+      })
+      return result
+    }
+    const forEachNode = callback => this.app.graph.forEachNode(callback)
+    const forEachLink = callback => this.app.graph.forEachLink(callback)
+    if (nodeColor) {
+      nodeColor.scale = createColorScale(values(forEachNode, nodeColor.attribute), nodeColor.options)
+    }
+    if (nodeSize) {
+      nodeSize.scale = createSizeScale(values(forEachNode, nodeSize.attribute), { range: this.getOption('nodesSizeRange'), ...nodeSize.options })
     }
+    if (edgeColor) {
+      edgeColor.scale = createColorScale(values(forEachLink, edgeColor.attribute), edgeColor.options)
+    }
+    if (edgeWidth) {
+      edgeWidth.scale = createSizeScale(values(forEachLink, edgeWidth.attribute), { range: this.getOption('edgesWeightRange'), ...edgeWidth.options })
+    }
+    this.app.nodeIndex.forEach((id, index) => {
+      const node = this.app.graph.getNode(id)
+      this.matrices.nodeColors[index] = this.getNodeColor(node)
+      this.matrices.sizes[index] = this.getNodeSize(node)
+    })
+    this.loadEdgesMatrices()
   }
 
   /**
-   * Retorna os vizinhos do nó selecionado ou [] para nenhum
-   * @returns Vizinhos do nó selecionado ou [] para nenhum
+   * Mantém as codificações de nós (colorBy e sizeBy) sincronizadas com nós novos ou alterados:
+   * quando algum valor do atributo codificado está fora do domínio da escala (sem domínio fixo
+   * nas opções), as escalas são recalculadas com todos os nós e os buffers, os rótulos e a
+   * legenda são recarregados
+   * @param {Object[]} nodes Objetos ngraph dos nós novos ou alterados
+   * @returns {Boolean} Verdadeiro se as escalas foram recalculadas
    */
-  getSelectedNeighbors () {
-    return this.state.selectedNeighbors
+  refreshNodeEncodings (nodes) {
+    const { nodeColor, nodeSize } = this.state.encodings
+    const outside = [nodeColor, nodeSize].some((encoding) => {
+      return encoding && !encoding.options.domain && nodes.some(node => !encoding.scale.contains(node.data[encoding.attribute]))
+    })
+    if (!outside) {
+      return false
+    }
+    this.loadEncodings()
+    this.loadBuffers()
+    return true
   }
 
   /**
-   * Atribui o nó (ponto) a ser realçado
-   * @param {Number} idx Índice do nó a ser realçado
+   * Reconstrói os índices e as matrizes dos nós após remoções, mantendo a ordem original
    */
-  setHoveredNode (idx = -1) {
-    if (this.state.hoveredNode !== idx) {
-      // Atribuindo com 'this.set' porque há watcher para essa variável
-      this.set('state.hoveredNode', idx)
-      this.setHoverNeighbors(idx)
-      this.render()
-    } else {
-      this.setHoverNeighbors()
-    }
+  reindexNodes () {
+    const nodeIndex = new Map()
+    const nodesPositions = []
+    const nodeColors = []
+    const sizes = []
+    const nodesVisibility = []
+    const nodesStyles = []
+    const nodesBorderColors = []
+    this.app.nodeIndex.forEach((id, oldIndex) => {
+      const node = this.app.graph.getNode(id)
+      if (!node) {
+        return
+      }
+      const index = nodesPositions.length
+      node.data.index = index
+      node.data.position[2] = index
+      nodeIndex.set(index, id)
+      nodesPositions.push(node.data.position)
+      nodeColors.push(this.matrices.nodeColors[oldIndex])
+      sizes.push(this.matrices.sizes[oldIndex])
+      nodesVisibility.push(this.matrices.nodesVisibility[oldIndex])
+      nodesStyles.push(this.matrices.nodesStyles[oldIndex])
+      nodesBorderColors.push(this.matrices.nodesBorderColors[oldIndex])
+    })
+    this.app.nodeIndex = nodeIndex
+    this.matrices.nodesPositions = nodesPositions
+    this.matrices.nodeColors = nodeColors
+    this.matrices.sizes = sizes
+    this.matrices.nodesVisibility = nodesVisibility
+    this.matrices.nodesStyles = nodesStyles
+    this.matrices.nodesBorderColors = nodesBorderColors
   }
 
   /**
-   * Retorna o nó realçado ou -1 para nenhum
-   * @returns Nó realçado ou -1 para nenhum
+   * Reconstrói as matrizes das arestas (separadas por peso) a partir do modelo do grafo
    */
-  getHoveredNode () {
-    return this.state.hoveredNode
+  loadEdgesMatrices () {
+    const edgesPositionsByWeight = new Map()
+    const edgesColorsByWeight = new Map()
+    const edgesSizesByWeight = new Map()
+    const edgesVisibilityByWeight = new Map()
+    let index = 0
+    this.app.graph.forEachLink((link) => {
+      const weight = this.getEdgeWeight(link)
+      const source = this.app.graph.getNode(link.fromId)
+      const target = this.app.graph.getNode(link.toId)
+      link.data.index = index++
+      if (!edgesPositionsByWeight.has(weight)) {
+        edgesPositionsByWeight.set(weight, [])
+        edgesColorsByWeight.set(weight, [])
+        edgesSizesByWeight.set(weight, [])
+        edgesVisibilityByWeight.set(weight, [])
+      }
+      link.data.slot = edgesSizesByWeight.get(weight).length
+      edgesPositionsByWeight.get(weight).push(source.data.position)
+      edgesPositionsByWeight.get(weight).push(target.data.position)
+      edgesColorsByWeight.get(weight).push(...this.getEdgeColors(link))
+      edgesSizesByWeight.get(weight).push([this.matrices.sizes[source.data.index], this.matrices.sizes[target.data.index]])
+      edgesVisibilityByWeight.get(weight).push(this.isEdgeVisible(link) ? 1 : 0)
+    })
+    this.matrices.edgesPositionsByWeight = edgesPositionsByWeight
+    this.matrices.edgesColorsByWeight = edgesColorsByWeight
+    this.matrices.edgesSizesByWeight = edgesSizesByWeight
+    this.matrices.edgesVisibilityByWeight = edgesVisibilityByWeight
   }
 
   /**
-   * Atribui os vizinhos do nó (ponto) a ser realçado
-   * @param {Number[]} [index] Índice do nó a ser realçado
+   * (Re)cria o módulo de busca de nós pela posição
    */
-  setHoverNeighbors (index = null) {
-    if (index !== null) {
-      const nodeIndexes = this.getNodeNeighbors(this.app.nodeIndex.get(index), true)
-      this.state.hoverNeighbors = nodeIndexes
-    } else {
-      this.state.hoverNeighbors = []
-    }
+  loadSearchIndex () {
+    this.searchIndex = new KDBush(this.matrices.nodesPositions)
   }
 
   /**
-   * Retorna os vizinhos do nó realçado ou [] para nenhum
-   * @returns Vizinhos do nó realçado ou [] para nenhum
+   * Retorna o módulo de busca de nós pela posição, recriando-o se foi descartado
+   * (alterações incrementais descartam o índice em vez de recriá-lo a cada alteração)
+   * @returns {Object} Índice KDBush
    */
-  getHoverNeighbors () {
-    return this.state.hoverNeighbors
+  getSearchIndex () {
+    if (this.searchIndex === null) {
+      this.loadSearchIndex()
+    }
+    return this.searchIndex
   }
 
   /**
-   * Destaca nós no grafo baseado em uma lista de IDs desses nós
-   * @param {String[]|Number[]} nodesIds Array de IDs dos nós
+   * Atualiza nas matrizes e nos buffers das arestas apenas as entradas das arestas de um nó
+   * (posições, cores e tamanhos das extremidades)
+   * @param {Object} node Objeto ngraph do nó
    */
-  highlight (nodesIds = null) {
-    if (nodesIds !== null) {
+  updateNodeEdges (node) {
+    const bytes = Float32Array.BYTES_PER_ELEMENT
+    const links = this.app.graph.getLinks(node.id)
+    links && links.forEach((link) => {
+      const weight = this.getEdgeWeight(link)
+      const slot = link.data.slot
+      const source = this.app.graph.getNode(link.fromId).data
+      const target = this.app.graph.getNode(link.toId).data
+      const colors = this.getEdgeColors(link)
+      const sizes = [this.matrices.sizes[source.index], this.matrices.sizes[target.index]]
+      this.matrices.edgesColorsByWeight.get(weight).splice(slot * 2, 2, ...colors)
+      this.matrices.edgesSizesByWeight.get(weight)[slot] = sizes
+      // Os buffers existem apenas com as arestas exibidas (ver loadBuffers)
+      if (this.buffers.edges.has(weight)) {
+        this.buffers.edges.get(weight).subdata([source.position, target.position], slot * 2 * source.position.length * bytes)
+        this.buffers.edgesColors.get(weight).subdata(colors, slot * 8 * bytes)
+        this.buffers.edgesSizes.get(weight).subdata([sizes], slot * 2 * bytes)
+      }
+    })
+  }
+
+  /**
+   * Substitui todos os dados do grafo, mantendo a instância (canvas, zoom e eventos)
+   * @param {Object} data Dados da rede com nós (nodes) e arestas (edges)
+   */
+  setData (data) {
+    if (this.state.destroyed) {
+      return
+    }
+    if (!data || !_has(data, 'nodes')) {
+      throw new Error('O objeto de dados da rede não contem a propriedade "nodes" (nós)')
+    }
+    if (this.getOption('showEdges') && !_has(data, 'edges')) {
+      throw new Error('O objeto de dados da rede não contem a propriedade "edges" (arestas)')
+    }
+    data = this.validate(data)
+    this.tooltip.hide()
+    this.state.hoveredNode = -1
+    this.state.hoverNeighbors = []
+    this.state.hoverDistances = new Map()
+    this.state.selectedNode = -1
+    this.state.selectedNeighbors = []
+    this.state.selectedDistances = new Map()
+    this.state.selectedNodes = []
+    this.state.highlightedNodes = []
+    this.state.path = null
+    if (this.state.pathMode) {
+      this.state.pathMode.source = null
+    }
+    this.stopLayout()
+    this.loadData(data)
+    // As escalas das codificações por atributo acompanham os novos dados
+    this.loadEncodings()
+    this.loadSearchIndex()
+    this.loadBuffers()
+    this.render()
+    this.autoLayout()
+  }
+
+  /**
+   * Acrescenta nós ao grafo. Nós com IDs já existentes são ignorados.
+   * @param {Object[]} nodes Array de nós no mesmo formato aceito pelo construtor
+   */
+  addNodes (nodes) {
+    if (this.state.destroyed) {
+      return
+    }
+    // IDs já existentes são descartados na validação (duplicate-id)
+    const valid = this.validate({ nodes, edges: [] }, { incremental: true }).nodes
+    const start = this.matrices.nodesPositions.length
+    valid.forEach((node) => {
+      this.insertNode(node)
+    })
+    if (valid.length) {
+      this.searchIndex = null
+      if (!this.refreshNodeEncodings(valid.map(node => this.app.graph.getNode(node.id)))) {
+        this.appendNodesBuffers(start)
+        if (valid.some(node => typeof node.label !== 'undefined' && node.label !== null)) {
+          this.loadLabels()
+        }
+        // As contagens da legenda incluem os novos nós
+        this.loadLegend()
+      }
+      this.render()
+      // Reiniciando o layout com os novos nós
+      this.layout && this.startLayout()
+    }
+  }
+
+  /**
+   * Remove nós do grafo, juntamente com suas arestas
+   * @param {String[]|Number[]} nodesIds Array de IDs dos nós
+   */
+  removeNodes (nodesIds) {
+    if (this.state.destroyed) {
+      return
+    }
+    const state = this.getStateIds()
+    let removed = 0
+    nodesIds.forEach((id) => {
+      if (this.app.graph.removeNode(id)) {
+        removed++
+      }
+    })
+    if (removed) {
+      this.reindexNodes()
+      this.loadEdgesMatrices()
+      this.loadSearchIndex()
+      this.loadBuffers()
+      this.restoreStateIds(state)
+      this.render()
+      // Reiniciando o layout sem os nós removidos
+      this.layout && this.startLayout()
+    }
+  }
+
+  /**
+   * Atualiza os atributos de um nó (posição, cor, tamanho, rótulo, formato, imagem, borda ou atributos)
+   * @param {String|Number} id ID do nó
+   * @param {Object} changes Atributos a serem alterados { x, y, color, size, label, shape, image, borderColor, borderWidth, attributes }
+   */
+  updateNode (id, changes = {}) {
+    if (this.state.destroyed) {
+      return
+    }
+    const node = this.app.graph.getNode(id)
+    if (!node) {
+      this.getOption('log') && console.warn('Nó não encontrado:', id)
+      return
+    }
+    const index = node.data.index
+    if (typeof changes.label !== 'undefined') {
+      node.data.label = changes.label
+    }
+    if (changes.attributes) {
+      Object.assign(node.data, changes.attributes)
+    }
+    // Com as codificações por atributo (colorBy e sizeBy), a cor e o tamanho dependem do atributo codificado
+    const encodedChanged = encoding => Boolean(encoding && changes.attributes && typeof changes.attributes[encoding.attribute] !== 'undefined')
+    const colorChanged = typeof changes.color !== 'undefined' || encodedChanged(this.state.encodings.nodeColor)
+    const sizeChanged = typeof changes.size !== 'undefined' || encodedChanged(this.state.encodings.nodeSize)
+    const positionChanged = typeof changes.x !== 'undefined' || typeof changes.y !== 'undefined'
+    if (colorChanged) {
+      if (typeof changes.color !== 'undefined') {
+        node.data.color = changes.color
+      }
+      this.matrices.nodeColors[index] = this.getNodeColor(node)
+      this.buffers.nodesColors.subdata(this.matrices.nodeColors[index], index * 4 * Float32Array.BYTES_PER_ELEMENT)
+    }
+    if (sizeChanged) {
+      if (typeof changes.size !== 'undefined') {
+        node.data.rawSize = changes.size
+        node.data.size = this.scales.size(changes.size)
+      }
+      this.matrices.sizes[index] = this.getNodeSize(node)
+      this.buffers.nodesSizes.subdata([this.matrices.sizes[index]], index * Float32Array.BYTES_PER_ELEMENT)
+    }
+    const styleKeys = ['shape', 'image', 'borderColor', 'borderWidth'].filter(key => typeof changes[key] !== 'undefined')
+    if (styleKeys.length) {
+      styleKeys.forEach((key) => {
+        node.data[key] = changes[key]
+      })
+      const { style, borderColor } = this.getNodeStyle(node)
+      this.matrices.nodesStyles[index] = style
+      this.matrices.nodesBorderColors[index] = borderColor
+      this.buffers.nodesStyles.subdata(style, index * 3 * Float32Array.BYTES_PER_ELEMENT)
+      this.buffers.nodesBorderColors.subdata(borderColor, index * 4 * Float32Array.BYTES_PER_ELEMENT)
+    }
+    if (positionChanged) {
+      const position = node.data.position
+      if (typeof changes.x !== 'undefined') {
+        node.data.x = changes.x
+        position[0] = this.scales.x(changes.x)
+      }
+      if (typeof changes.y !== 'undefined') {
+        node.data.y = changes.y
+        position[1] = this.scales.y(changes.y)
+      }
+      // As matrizes das arestas referenciam o mesmo array de posição
+      this.buffers.nodes.subdata(position, index * position.length * Float32Array.BYTES_PER_ELEMENT)
+      this.searchIndex = null
+      this.labels && this.labels.invalidate()
+    }
+    // As arestas terminam na borda dos nós e suas cores podem depender das cores dos nós
+    if (positionChanged || sizeChanged || (colorChanged && this.getOption('edgesColorMode') !== 'edge')) {
+      this.updateNodeEdges(node)
+    }
+    // Valores fora do domínio das codificações recalculam as escalas (e recarregam rótulos e legenda)
+    const rescaled = Boolean(changes.attributes) && this.refreshNodeEncodings([node])
+    // A prioridade dos rótulos pode depender do tamanho e dos atributos
+    if (!rescaled && (typeof changes.label !== 'undefined' || changes.attributes || sizeChanged)) {
+      this.loadLabels()
+    }
+    // A legenda depende das cores dos nós (ou do atributo codificado)
+    if (!rescaled && colorChanged) {
+      this.loadLegend()
+    }
+    // Reavaliando o filtro com os novos atributos do nó
+    if (this.state.filter !== null && this.filterNode(id) !== this.isNodeVisible(index)) {
+      this.applyFilter()
+      return
+    }
+    this.render()
+  }
+
+  /**
+   * Acrescenta arestas ao grafo. Arestas com nós inexistentes são ignoradas.
+   * @param {Object[]} edges Array de arestas no mesmo formato aceito pelo construtor
+   */
+  addEdges (edges) {
+    if (this.state.destroyed || !this.getOption('showEdges')) {
+      return
+    }
+    const weights = new Set()
+    this.validate({ nodes: [], edges }, { incremental: true }).edges.forEach((edge) => {
+      const weight = this.insertEdge(edge)
+      if (weight !== null) {
+        weights.add(weight)
+      }
+    })
+    if (weights.size) {
+      this.loadBuffers('edges', [...weights])
+      this.render()
+    }
+  }
+
+  /**
+   * Remove arestas do grafo
+   * @param {Object[]} edges Array de arestas { sourceID, targetID }
+   */
+  removeEdges (edges) {
+    if (this.state.destroyed) {
+      return
+    }
+    const weights = new Set()
+    edges.forEach((edge) => {
+      const link = this.app.graph.getLink(edge.sourceID ?? edge.source, edge.targetID ?? edge.target)
+      if (link) {
+        weights.add(this.getEdgeWeight(link))
+        // O caminho destacado que passa pela aresta é descartado
+        if (this.state.path && this.state.path.links.includes(link)) {
+          this.state.path = null
+        }
+        this.app.graph.removeLink(link)
+      }
+    })
+    if (weights.size) {
+      this.loadEdgesMatrices()
+      this.loadBuffers('edges', [...weights])
+      this.render()
+    }
+  }
+
+  /**
+   * Inicia o layout de forças caso a configuração 'layout' exija
+   * ('auto' executa apenas quando há nós sem coordenadas)
+   */
+  autoLayout () {
+    const layout = this.getOption('layout')
+    if (layout === true || (layout === 'auto' && this.state.missingCoordinates)) {
+      this.startLayout()
+    }
+  }
+
+  /**
+   * Inicia (ou reinicia) o layout de forças a partir das posições atuais dos nós.
+   * A simulação é executada em um Web Worker e as posições são atualizadas a cada passo.
+   */
+  startLayout () {
+    if (this.state.destroyed) {
+      return
+    }
+    if (typeof Worker === 'undefined') {
+      this.getOption('log') && console.warn('Layout de forças indisponível: Web Workers não suportados')
+      return
+    }
+    if (this.layout) {
+      this.layout.destroy()
+    }
+    const count = this.app.nodeIndex.size
+    const positions = new Float32Array(count * 2)
+    this.app.nodeIndex.forEach((id, index) => {
+      const node = this.app.graph.getNode(id)
+      positions[index * 2] = node.data.x
+      positions[index * 2 + 1] = node.data.y
+    })
+    // As escalas são ajustadas apenas no início: durante a simulação o zoom e o deslocamento
+    // da visualização pertencem ao usuário
+    this.updatePositions(positions)
+    const links = []
+    this.app.graph.forEachLink((link) => {
+      links.push(this.app.graph.getNode(link.fromId).data.index, this.app.graph.getNode(link.toId).data.index)
+    })
+    this.layout = createLayout({
+      positions,
+      links: new Uint32Array(links),
+      options: this.getOption('layoutOptions'),
+      onStep: (positions, iteration) => {
+        // Descartando passos de uma simulação com outra quantidade de nós
+        if (positions.length !== this.app.nodeIndex.size * 2) {
+          return
+        }
+        this.updatePositions(positions, false)
+        // Disponibilizando o evento na biblioteca
+        this.raiseEvent('layoutstep', { iteration })
+      },
+      onEnd: (iteration) => {
+        this.layout.destroy()
+        this.layout = null
+        // O índice de busca é recriado apenas com as posições finais
+        this.loadSearchIndex()
+        // Disponibilizando o evento na biblioteca
+        this.raiseEvent('layoutend', { iteration, stopped: false })
+      }
+    })
+  }
+
+  /**
+   * Interrompe o layout de forças, mantendo as posições atuais
+   */
+  stopLayout () {
+    if (this.layout) {
+      this.layout.destroy()
+      this.layout = null
+      this.loadSearchIndex()
+      // Disponibilizando o evento na biblioteca
+      this.raiseEvent('layoutend', { iteration: null, stopped: true })
+    }
+  }
+
+  /**
+   * Atualiza as posições de todos os nós e os buffers de posições
+   * @param {Float32Array|Number[]} positions Posições dos nós por índice [x0, y0, x1, y1, ...]
+   * @param {Boolean} [fit] Reenquadra a rede na tela e recria o índice de busca. Os passos do
+   * layout de forças mantêm as escalas e o índice, atualizados no início e no fim da simulação.
+   */
+  updatePositions (positions, fit = true) {
+    if (fit) {
+      const xExtent = [Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY]
+      const yExtent = [Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY]
+      for (let i = 0; i < positions.length; i += 2) {
+        xExtent[0] = this.minNumber(xExtent[0], positions[i])
+        xExtent[1] = this.maxNumber(xExtent[1], positions[i])
+        yExtent[0] = this.minNumber(yExtent[0], positions[i + 1])
+        yExtent[1] = this.maxNumber(yExtent[1], positions[i + 1])
+      }
+      this.fitScales(xExtent, yExtent)
+    }
+    this.app.nodeIndex.forEach((id, index) => {
+      const data = this.app.graph.getNode(id).data
+      data.x = positions[index * 2]
+      data.y = positions[index * 2 + 1]
+      // As matrizes das arestas referenciam o mesmo array de posição
+      data.position[0] = this.scales.x(data.x)
+      data.position[1] = this.scales.y(data.y)
+    })
+    this.loadPositionBuffers()
+    fit && this.loadSearchIndex()
+    this.render()
+  }
+
+  /**
+   * Atualiza apenas os buffers de posições dos nós e das arestas (sem recriar os buffers,
+   * os rótulos e a legenda)
+   */
+  loadPositionBuffers () {
+    if (this.state.destroyed || !this.buffers.nodes) {
+      return
+    }
+    this.buffers.nodes.subdata(this.matrices.nodesPositions)
+    this.buffers.edges.forEach((buffer, key) => {
+      if (this.matrices.edgesPositionsByWeight.has(key)) {
+        buffer.subdata(this.matrices.edgesPositionsByWeight.get(key))
+      }
+    })
+    this.labels && this.labels.invalidate()
+  }
+
+  /**
+   * Retorna os IDs dos nós referenciados no estado (realçado, selecionado, seleção múltipla e destacados)
+   * @returns {Object} IDs dos nós { hovered, selected, selection, highlighted }
+   */
+  getStateIds () {
+    return {
+      hovered: this.app.nodeIndex.get(this.state.hoveredNode),
+      selected: this.app.nodeIndex.get(this.state.selectedNode),
+      selection: this.getSelectedNodes(),
+      highlighted: this.state.highlightedNodes.map(i => this.app.nodeIndex.get(i))
+    }
+  }
+
+  /**
+   * Restaura o estado a partir dos IDs dos nós após a reindexação.
+   * Nós removidos deixam de fazer parte do estado.
+   * @param {Object} ids IDs dos nós { hovered, selected, selection, highlighted }
+   */
+  restoreStateIds ({ hovered, selected, selection, highlighted }) {
+    const indexOf = id => {
+      const node = typeof id !== 'undefined' ? this.app.graph.getNode(id) : null
+      return node ? node.data.index : -1
+    }
+    this.state.hoveredNode = indexOf(hovered)
+    this.setHoverNeighbors(this.state.hoveredNode !== -1 ? this.state.hoveredNode : null)
+    if (this.state.hoveredNode === -1) {
+      this.tooltip.hide()
+    }
+    this.state.selectedNode = indexOf(selected)
+    this.setSelectedNeighbors(this.state.selectedNode !== -1 ? this.state.selectedNode : null)
+    this.state.highlightedNodes = highlighted.map(indexOf).filter(i => i !== -1)
+    // O caminho destacado é descartado se algum dos seus nós foi removido
+    if (this.state.path && this.state.path.nodes.some(id => indexOf(id) === -1)) {
+      this.state.path = null
+    }
+    if (this.state.pathMode && indexOf(this.state.pathMode.source) === -1) {
+      this.state.pathMode.source = null
+    }
+    // O evento 'selectionchange' só é disparado se algum nó selecionado foi removido
+    const selectedNodes = selection.map(indexOf).filter(i => i !== -1)
+    if (selectedNodes.length !== selection.length) {
+      this.updateSelection(selectedNodes)
+    } else {
+      this.state.selectedNodes = selectedNodes
+    }
+  }
+
+  /**
+   * Cálculos para enquadrar a rede na tela de exibição sem alterar o layout da rede
+   * @param {Number[]} xExtent Extensão das posições X do grafo
+   * @param {Number[]} yExtent Extensão das posições Y do grafo
+   * @returns {Object} Incrementos para as margens horizontal e vertical do grafo
+   */
+  layoutAspectRatio (xExtent, yExtent) {
+    const graphMargin = this.getOption('graphMargin')
+    const factorX = (this.app.width - graphMargin * 2) / Math.ceil(xExtent[1] - xExtent[0])
+    const factorY = (this.app.height - graphMargin * 2) / Math.ceil(yExtent[1] - yExtent[0])
+    const factor = Math.min(factorX, factorY)
+    const marginXIncrease = ((this.app.width - graphMargin * 2) - (factor * Math.ceil(xExtent[1] - xExtent[0]))) / 2
+    const marginYIncrease = ((this.app.height - graphMargin * 2) - (factor * Math.ceil(yExtent[1] - yExtent[0]))) / 2
+    return { marginXIncrease, marginYIncrease }
+  }
+
+  /**
+   * Atualiza o estado de posição e zoom do grafo
+   * @param {Number} x Deslocamento do palco no eixo X
+   * @param {Number} y Deslocamento do palco no eixo Y
+   * @param {Number} scale Escala do zoom
+   */
+  updateTransform (x, y, scale) {
+    mat3.identity(this.state.transform)
+    mat3.translate(this.state.transform, this.state.transform, [x, y])
+    mat3.scale(this.state.transform, this.state.transform, [scale, scale])
+    mat3.translate(this.state.transform, this.state.transform, [0, 0])
+    mat3.projection(this.state.projection, this.app.width, this.app.height)
+  }
+
+  /**
+   * Retorna a posição x e y relativa do mouse (cursor)
+   * @param {Object} event Evento
+   * @returns {Number[]} Array com as posições do mouse [x, y]
+   */
+  getRelativeMousePosition (event) {
+    const rect = event.target.getBoundingClientRect()
+    const mousePosition = []
+
+    mousePosition[0] = (event.clientX - rect.left) // devicePixelRatio
+    mousePosition[1] = (event.clientY - rect.top) // devicePixelRatio
+
+    return [...mousePosition]
+  }
+
+  /**
+   * Manipulando o evento zoom no grafo
+   * @param {Object} event Evento
+   */
+  handleZoom (event) {
+    // settings.transform = e.transform
+    const { x, y, k } = event.transform
+    this.updateTransform(x, y, k)
+    // console.log('zoom:', settings.transform)
+    this.render()
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('zoom', event.transform)
+    if (this.state.mouseDown) {
+      this.setCursorStyle('move')
+      // console.log('mousedown:', this.state.mouseDown)
+    }
+  }
+
+  /**
+   * Reseta zoom e pan aplicando uma transição leve
+   */
+  reset () {
+    this.animateTransform(zoomIdentity, 750)
+  }
+
+  /**
+   * Aplica uma transformação de zoom (d3) por meio de uma transição
+   * @param {Object} transform Transformação de zoom (d3 ZoomTransform)
+   * @param {Number} duration Duração da transição (ms). Com 0 a transformação é aplicada imediatamente.
+   */
+  animateTransform (transform, duration) {
+    const canvas = select(`#${this.app.canvasID}`)
+    if (duration > 0) {
+      this.state.inAnimation = true
+      canvas
+        .transition()
+        .duration(duration)
+        .call(this.app.zoom.transform, transform)
+    } else {
+      canvas.interrupt().call(this.app.zoom.transform, transform)
+    }
+  }
+
+  /**
+   * Retorna o estado da visualização (objeto simples, serializável em JSON): deslocamento e
+   * nível de zoom, centro e limites visíveis nas coordenadas dos dados (x e y dos nós)
+   * @returns {Object} { x, y, k, center: { x, y }, bounds: { minX, minY, maxX, maxY } }
+   */
+  getView () {
+    const { x, y, k } = zoomTransform(this.app.canvas)
+    const [x0, y0] = this.screenToGraph([0, 0])
+    const [x1, y1] = this.screenToGraph([this.app.width, this.app.height])
+    const [cx, cy] = this.screenToGraph([this.app.width / 2, this.app.height / 2])
+    return {
+      x,
+      y,
+      k,
+      center: { x: cx, y: cy },
+      bounds: {
+        minX: this.minNumber(x0, x1),
+        minY: this.minNumber(y0, y1),
+        maxX: this.maxNumber(x0, x1),
+        maxY: this.maxNumber(y0, y1)
+      }
+    }
+  }
+
+  /**
+   * Restaura um estado da visualização (ver getView). Quando há 'center', a visualização é
+   * centralizada nesse ponto (independente do tamanho do container); caso contrário, o
+   * deslocamento 'x' e 'y' é aplicado. Valores ausentes mantêm o estado atual.
+   * @param {Object} view Estado da visualização { x, y, k, center }
+   * @param {Object} [options] Opções { animate, duration }
+   * @param {Boolean} [options.animate] Aplica a visualização com transição. Padrão: false
+   * @param {Number} [options.duration] Duração da transição (ms). Padrão: 750
+   */
+  setView (view, { animate = false, duration = 750 } = {}) {
+    const current = zoomTransform(this.app.canvas)
+    const k = this.clampZoom(view.k ?? current.k)
+    let x = view.x ?? current.x
+    let y = view.y ?? current.y
+    if (view.center) {
+      x = this.app.width / 2 - k * this.scales.x(view.center.x)
+      y = this.app.height / 2 - k * this.scales.y(view.center.y)
+    }
+    this.animateTransform(zoomIdentity.translate(x, y).scale(k), animate ? duration : 0)
+  }
+
+  /**
+   * Multiplica o nível de zoom, mantendo o centro da visualização
+   * @param {Number} factor Fator de zoom (ex.: 2 aproxima, 0.5 afasta)
+   * @param {Object} [options] Opções { animate, duration }
+   */
+  zoomBy (factor, { animate = false, duration = 250 } = {}) {
+    const current = zoomTransform(this.app.canvas)
+    const k = this.clampZoom(current.k * factor)
+    const [cx, cy] = current.invert([this.app.width / 2, this.app.height / 2])
+    const transform = zoomIdentity
+      .translate(this.app.width / 2 - k * cx, this.app.height / 2 - k * cy)
+      .scale(k)
+    this.animateTransform(transform, animate ? duration : 0)
+  }
+
+  /**
+   * Desloca a visualização
+   * @param {Number} dx Deslocamento horizontal (px da tela)
+   * @param {Number} dy Deslocamento vertical (px da tela)
+   * @param {Object} [options] Opções { animate, duration }
+   */
+  panBy (dx, dy, { animate = false, duration = 250 } = {}) {
+    const current = zoomTransform(this.app.canvas)
+    const transform = zoomIdentity
+      .translate(current.x + dx, current.y + dy)
+      .scale(current.k)
+    this.animateTransform(transform, animate ? duration : 0)
+  }
+
+  /**
+   * Converte uma posição na tela (px relativos ao canvas) para as coordenadas dos dados
+   * @param {Number[]} position Posição na tela [x, y]
+   * @returns {Number[]} Posição nas coordenadas dos dados (x e y dos nós) [x, y]
+   */
+  screenToGraph (position) {
+    const [x, y] = this.getCanvasGraphPos(position)
+    return [this.scales.x.invert(x), this.scales.y.invert(y)]
+  }
+
+  /**
+   * Converte uma posição nas coordenadas dos dados para a tela (px relativos ao canvas)
+   * @param {Number[]} position Posição nas coordenadas dos dados (x e y dos nós) [x, y]
+   * @returns {Number[]} Posição na tela [x, y]
+   */
+  graphToScreen ([x, y]) {
+    const transform = this.state.transform
+    return [
+      transform[0] * this.scales.x(x) + transform[6],
+      transform[4] * this.scales.y(y) + transform[7]
+    ]
+  }
+
+  /**
+   * Limita o nível de zoom à extensão configurada (zoomExtent)
+   * @param {Number} k Nível de zoom
+   * @returns {Number} Nível de zoom limitado
+   */
+  clampZoom (k) {
+    const [min, max] = this.getOption('zoomExtent')
+    return this.minNumber(max, this.maxNumber(min, k))
+  }
+
+  /**
+   * Busca nós pelo rótulo (parte do texto, sem diferenciar maiúsculas), por uma expressão
+   * regular ou por uma função. Nós sem rótulo são comparados pelo ID.
+   * @param {String|RegExp|Function} query Texto, expressão regular ou função (node) => Boolean
+   * @returns {Object[]} Objetos ngraph dos nós encontrados, na ordem de leitura
+   */
+  findNodes (query) {
+    const text = node => String(node.data.label ?? node.id)
+    let match
+    if (typeof query === 'function') {
+      match = node => query(node)
+    } else if (query instanceof RegExp) {
+      // Expressões globais mantêm estado entre as chamadas de test()
+      const regex = new RegExp(query.source, query.flags.replace('g', ''))
+      match = node => regex.test(text(node))
+    } else {
+      const value = String(query).toLowerCase()
+      match = node => text(node).toLowerCase().includes(value)
+    }
+    const nodes = []
+    this.app.nodeIndex.forEach((id) => {
+      const node = this.app.graph.getNode(id)
+      if (match(node)) {
+        nodes.push(node)
+      }
+    })
+    return nodes
+  }
+
+  /**
+   * Centraliza a visualização em um nó (com transição) e o seleciona
+   * @param {String|Number} id ID do nó
+   * @param {Object} [options] Opções { zoom, duration }
+   * @param {Number} [options.zoom] Nível de zoom final. Padrão: o maior entre o atual e 4
+   * @param {Number} [options.duration] Duração da transição (ms). Padrão: 750
+   */
+  focusNode (id, { zoom = null, duration = 750 } = {}) {
+    const node = this.app.graph.getNode(id)
+    if (!node) {
+      this.getOption('log') && console.warn('Nó não encontrado:', id)
+      return
+    }
+    const [x, y] = this.matrices.nodesPositions[node.data.index]
+    const k = this.clampZoom(zoom ?? this.maxNumber(zoomTransform(this.app.canvas).k, 4))
+    const transform = zoomIdentity
+      .translate(this.app.width / 2 - x * k, this.app.height / 2 - y * k)
+      .scale(k)
+    this.highlight()
+    this.updateSelection([])
+    this.setSelectedNode(node.data.index)
+    this.animateTransform(transform, duration)
+  }
+
+  /**
+   * Enquadra um conjunto de nós na visualização (com transição)
+   * @param {String[]|Number[]} nodesIds Array de IDs dos nós (IDs inexistentes são ignorados)
+   * @param {Object} [options] Opções { padding, duration }
+   * @param {Number} [options.padding] Margem (px) em volta dos nós. Padrão: opção 'graphMargin'
+   * @param {Number} [options.duration] Duração da transição (ms). Padrão: 750
+   */
+  fitNodes (nodesIds, { padding = null, duration = 750 } = {}) {
+    const positions = []
+    nodesIds.forEach((id) => {
+      const node = this.app.graph.getNode(id)
+      node && positions.push(this.matrices.nodesPositions[node.data.index])
+    })
+    if (!positions.length) {
+      return
+    }
+    const margin = padding ?? this.getOption('graphMargin')
+    const [x0, x1] = d3Extent(positions, p => p[0])
+    const [y0, y1] = d3Extent(positions, p => p[1])
+    // Um único nó (ou nós sobrepostos) mantém o zoom atual
+    const kx = x1 > x0 ? (this.app.width - margin * 2) / (x1 - x0) : Infinity
+    const ky = y1 > y0 ? (this.app.height - margin * 2) / (y1 - y0) : Infinity
+    const fit = this.minNumber(kx, ky)
+    const k = this.clampZoom(fit === Infinity ? zoomTransform(this.app.canvas).k : fit)
+    const transform = zoomIdentity
+      .translate(this.app.width / 2 - k * (x0 + x1) / 2, this.app.height / 2 - k * (y0 + y1) / 2)
+      .scale(k)
+    this.animateTransform(transform, duration)
+  }
+
+  /**
+   * Manipulando o evento pointerdown no grafo (mouse, caneta ou toque)
+   * @param {Object} event Evento
+   */
+  handlePointerDown (event) {
+    if (event.pointerType === 'touch') {
+      // Um segundo dedo inicia uma pinça (tratada pelo zoom): o toque deixa de ser um toque
+      // simples e o arraste de um nó iniciado pelo primeiro dedo é desfeito
+      if (!event.isPrimary) {
+        this.cancelTouch()
+        this.cancelNodeDrag(event)
+        return
+      }
+      this.startTouch(event)
+    } else if (!event.isPrimary) {
+      return
+    }
+    // Shift + arrastar: seleção por retângulo; alt + arrastar: seleção por laço
+    if (!event.button && (event.shiftKey || event.altKey)) {
+      event.preventDefault()
+      this.startSelectionShape(event.altKey ? 'lasso' : 'rectangle', event)
+      return
+    }
+    // Arraste de nós (o zoom ignora o evento enquanto há um nó sendo arrastado)
+    if (!event.button && !this.getOption('lockNodesPositions')) {
+      this.state.mousePosition = this.getRelativeMousePosition(event)
+      const closestPoint = this.raycast()
+      if (typeof closestPoint !== 'undefined') {
+        this.startNodeDrag(closestPoint, event)
+        return
+      }
+    }
+    this.state.mouseDown = true
+    // console.log('mousedown', this.state.mouseDown)
+  }
+
+  /**
+   * Manipulando o evento mouseup no grafo
+   * @param {Object} event Evento
+   */
+  handleMouseUp (event) {
+    this.state.mouseDown = false
+    if (this.state.inAnimation) {
+      this.state.inAnimation = false
+    }
+    this.render()
+    // console.log('mouseup', this.state.mouseDown)
+  }
+
+  /**
+   * Manipulando o evento pointermove no grafo. No toque não há realce (hover): o
+   * deslocamento apenas descarta o toque simples e o toque longo.
+   * @param {Object} event Evento
+   */
+  handlePointerMove (event) {
+    if (!event.isPrimary) {
+      return
+    }
+    this.state.mousePosition = this.getRelativeMousePosition(event)
+    if (event.pointerType === 'touch') {
+      const touch = this.state.touch
+      if (touch && !touch.moved && this.distance(...touch.origin, ...this.state.mousePosition) > TAP_DISTANCE) {
+        this.cancelTouch()
+      }
+      return
+    }
+    if (!this.state.mouseDown && !this.state.selectionShape && !this.state.draggedNode) {
+      const closestPoint = this.raycast()
+      const format = this.getOption('tooltipFormat')
+      if (typeof closestPoint !== 'undefined') {
+        /* // setHoverNeighbors deve sempre vir antes de setHoveredNode
+        if (closestPoint !== this.getHoveredNode()) {
+          this.setHoverNeighbors(closestPoint)
+          console.dir('Neighbors', getHoverNeighbors())
+        } */
+        const node = this.getNodeByIndex(closestPoint)
+        this.setHoveredNode(closestPoint)
+        this.setCursorStyle('pointer')
+        this.tooltip.show(node, format.bind(this))
+        // console.log('nó focus:', this.state.hoveredNode)
+      } else {
+        /* // setHoverNeighbors deve sempre vir antes de setHoveredNode
+        this.setHoverNeighbors() */
+        this.setHoveredNode()
+        this.setCursorStyle('default')
+        this.tooltip.hide()
+      }
+    }
+  }
+
+  /**
+   * Manipulando o evento pointerup no grafo: o toque sem deslocamento (e que não foi um
+   * toque longo) é tratado como um clique e o toque duplo sobre um nó centraliza o nó
+   * @param {Object} event Evento
+   */
+  handlePointerUp (event) {
+    const touch = this.state.touch
+    if (event.pointerType !== 'touch' || !touch || touch.id !== event.pointerId) {
+      return
+    }
+    clearTimeout(touch.timer)
+    this.state.touch = null
+    if (touch.moved || touch.longPress) {
+      return
+    }
+    this.state.mousePosition = this.getRelativeMousePosition(event)
+    const closestPoint = this.raycast()
+    const lastTap = this.state.lastTap
+    const doubleTap = lastTap !== null && typeof closestPoint !== 'undefined' &&
+      lastTap.node === closestPoint && event.timeStamp - lastTap.time < DOUBLE_TAP_DELAY
+    this.state.lastTap = doubleTap ? null : { node: closestPoint, time: event.timeStamp }
+    if (doubleTap) {
+      this.focusNode(this.getNodeByIndex(closestPoint).id)
+      return
+    }
+    this.handleClick(event)
+  }
+
+  /**
+   * Manipulando o evento pointercancel no grafo (toque interrompido pelo navegador)
+   * @param {Object} event Evento
+   */
+  handlePointerCancel (event) {
+    const touch = this.state.touch
+    if (touch && touch.id === event.pointerId) {
+      clearTimeout(touch.timer)
+      this.state.touch = null
+    }
+  }
+
+  /**
+   * Inicia o acompanhamento de um toque, agendando o toque longo
+   * @param {Object} event Evento pointerdown
+   */
+  startTouch (event) {
+    const touch = this.state.touch
+    touch && clearTimeout(touch.timer)
+    this.state.mousePosition = this.getRelativeMousePosition(event)
+    // A tooltip de um toque longo anterior permanece visível até o próximo toque
+    this.setHoveredNode()
+    this.tooltip.hide()
+    this.state.touch = {
+      id: event.pointerId,
+      origin: this.state.mousePosition,
+      moved: false,
+      longPress: false,
+      timer: setTimeout(() => this.handleLongPress(), LONG_PRESS_DELAY)
+    }
+  }
+
+  /**
+   * Descarta o toque em andamento como toque simples e toque longo (deslocamento ou pinça)
+   */
+  cancelTouch () {
+    const touch = this.state.touch
+    if (touch) {
+      clearTimeout(touch.timer)
+      touch.moved = true
+    }
+  }
+
+  /**
+   * Toque longo: exibe a tooltip do nó sob o dedo, fixada na posição do toque
+   */
+  handleLongPress () {
+    const touch = this.state.touch
+    if (!touch || this.state.destroyed) {
+      return
+    }
+    const closestPoint = this.raycast()
+    if (typeof closestPoint === 'undefined') {
+      return
+    }
+    touch.longPress = true
+    const rect = this.app.canvas.getBoundingClientRect()
+    const [x, y] = this.state.mousePosition
+    this.setHoveredNode(closestPoint)
+    this.tooltip.show(this.getNodeByIndex(closestPoint), this.getOption('tooltipFormat').bind(this), [rect.left + x, rect.top + y])
+  }
+
+  /**
+   * Manipulando o evento click no grafo (também chamado pelo toque simples)
+   * @param {Object} event Evento
+   */
+  handleClick (event) {
+    // O clique que encerra uma seleção por retângulo ou laço é descartado
+    if (this.state.ignoreClick) {
+      this.state.ignoreClick = false
+      return
+    }
+    const closestPoint = this.raycast()
+    let node = null
+    let edge = null
+    // Modo de seleção de caminhos: o segundo nó clicado é o destino do caminho
+    const pathMode = this.state.pathMode
+    if (pathMode && pathMode.source !== null && typeof closestPoint !== 'undefined') {
+      node = this.getNodeByIndex(closestPoint)
+      this.highlightPath(pathMode.source, node.id, pathMode.options)
+      pathMode.source = null
+      // Disponibilizando o evento na biblioteca
+      this.raiseEvent('click', { event, node, edge })
+      return
+    }
+    this.highlight()
+    this.updateSelection([])
+    if (typeof closestPoint !== 'undefined') {
+      this.setSelectedNode(closestPoint)
+      node = this.getNodeByIndex(closestPoint)
+    } else {
+      this.setSelectedNode()
+      edge = this.raycastEdge()
+    }
+    // O nó clicado é a origem do próximo caminho (o clique fora dos nós desfaz a origem)
+    if (pathMode) {
+      pathMode.source = node ? node.id : null
+    }
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('click', { event, node, edge })
+  }
+
+  /**
+   * Manipulando o evento keydown no canvas (navegação pelo teclado). As setas movem o foco
+   * para o vizinho na direção da seta; Tab percorre o nó de origem e os seus vizinhos e, ao
+   * final, libera o foco para os demais elementos da página.
+   * @param {Object} event Evento
+   */
+  handleKeyDown (event) {
+    const direction = KEYBOARD_DIRECTIONS[event.key]
+    const modifier = event.shiftKey || event.ctrlKey || event.altKey || event.metaKey
+    let handled = true
+    if (direction && modifier) {
+      this.panBy(-direction[0] * this.app.width * KEYBOARD_PAN, -direction[1] * this.app.height * KEYBOARD_PAN, { animate: true })
+    } else if (direction) {
+      this.moveKeyboardFocus(direction)
+    } else if (event.key === 'Tab' && !(event.ctrlKey || event.altKey || event.metaKey)) {
+      handled = this.cycleKeyboardFocus(event.shiftKey ? -1 : 1)
+    } else if (event.key === '+' || event.key === '=') {
+      this.zoomBy(KEYBOARD_ZOOM, { animate: true })
+    } else if (event.key === '-' || event.key === '_') {
+      this.zoomBy(1 / KEYBOARD_ZOOM, { animate: true })
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      this.selectKeyboardFocus()
+    } else if (event.key === 'Escape') {
+      this.highlight()
+      this.updateSelection([])
+      this.setSelectedNode()
+      this.announcer.announce('Seleção desfeita')
+    } else {
+      handled = false
+    }
+    if (handled) {
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Manipulando o evento blur no canvas: o foco do teclado é descartado
+   */
+  handleBlur () {
+    if (this.state.keyboardFocus) {
+      this.state.keyboardFocus = null
+      this.setHoveredNode()
+      this.tooltip.hide()
+    }
+  }
+
+  /**
+   * Retorna o nó em foco na navegação pelo teclado (nós removidos ou ocultos não têm foco)
+   * @returns {Number} Índice do nó ou -1 para nenhum
+   */
+  getKeyboardFocus () {
+    const focus = this.state.keyboardFocus
+    const node = focus ? this.app.graph.getNode(focus.node) : null
+    return node && this.isNodeVisible(node.data.index) ? node.data.index : -1
+  }
+
+  /**
+   * Atribui o foco do teclado a um nó: o nó é realçado e centralizado se estiver fora da
+   * área visível, e a sua tooltip é exibida e anunciada com o grau do nó
+   * @param {Number} index Índice do nó
+   * @param {Number} [anchor] Índice do nó cujos vizinhos são percorridos com Tab. Padrão: o próprio nó
+   */
+  setKeyboardFocus (index, anchor = index) {
+    const node = this.getNodeByIndex(index)
+    this.state.keyboardFocus = { node: node.id, anchor: this.app.nodeIndex.get(anchor) }
+    this.setHoveredNode(index)
+    let [x, y] = zoomTransform(this.app.canvas).apply(this.matrices.nodesPositions[index])
+    const margin = this.getOption('graphMargin')
+    if (x < margin || y < margin || x > this.app.width - margin || y > this.app.height - margin) {
+      this.panBy(this.app.width / 2 - x, this.app.height / 2 - y, { animate: true })
+      x = this.app.width / 2
+      y = this.app.height / 2
+    }
+    const rect = this.app.canvas.getBoundingClientRect()
+    const format = this.getOption('tooltipFormat').bind(this)
+    this.tooltip.show(node, format, [rect.left + x, rect.top + y])
+    this.announcer.announce(format(node), `grau ${this.getNodeNeighbors(node.id).length}`)
+  }
+
+  /**
+   * Retorna o nó inicial da navegação pelo teclado: o nó selecionado ou o nó visível mais
+   * próximo do centro da visualização
+   * @returns {Number} Índice do nó ou -1 se não há nós visíveis
+   */
+  getKeyboardStartNode () {
+    if (this.state.selectedNode !== -1 && this.isNodeVisible(this.state.selectedNode)) {
+      return this.state.selectedNode
+    }
+    const [cx, cy] = this.getCanvasGraphPos([this.app.width / 2, this.app.height / 2])
+    let closest = -1
+    let minDistance = Infinity
+    this.matrices.nodesPositions.forEach(([x, y], index) => {
+      const distance = this.distance(cx, cy, x, y)
+      if (distance < minDistance && this.isNodeVisible(index)) {
+        closest = index
+        minDistance = distance
+      }
+    })
+    return closest
+  }
+
+  /**
+   * Move o foco do teclado para o vizinho na direção informada, priorizando os vizinhos mais
+   * alinhados à direção e mais próximos. O vizinho passa a ser o nó de origem do Tab.
+   * @param {Number[]} direction Direção na tela [x, y]
+   */
+  moveKeyboardFocus ([dx, dy]) {
+    const index = this.getKeyboardFocus()
+    if (index === -1) {
+      const start = this.getKeyboardStartNode()
+      start !== -1 && this.setKeyboardFocus(start)
+      return
+    }
+    const [x0, y0] = this.matrices.nodesPositions[index]
+    let closest = -1
+    let minScore = Infinity
+    this.getNodeNeighbors(this.app.nodeIndex.get(index), true).forEach((neighbor) => {
+      const [x1, y1] = this.matrices.nodesPositions[neighbor]
+      const distance = this.distance(x0, y0, x1, y1)
+      // Cosseno do ângulo entre a direção e o vizinho (apenas vizinhos à frente)
+      const cos = distance > 0 ? ((x1 - x0) * dx + (y1 - y0) * dy) / distance : 0
+      const score = distance * (2 - cos)
+      if (cos > 0 && score < minScore) {
+        closest = neighbor
+        minScore = score
+      }
+    })
+    if (closest === -1) {
+      this.announcer.announce('Nenhum vizinho nessa direção')
+      return
+    }
+    this.setKeyboardFocus(closest)
+  }
+
+  /**
+   * Percorre com Tab o nó de origem e os seus vizinhos
+   * @param {Number} step Passo: 1 (Tab) ou -1 (shift + Tab)
+   * @returns {Boolean} Falso quando o foco deve sair do canvas (sem armadilha de teclado)
+   */
+  cycleKeyboardFocus (step) {
+    const index = this.getKeyboardFocus()
+    if (index === -1) {
+      const start = step > 0 ? this.getKeyboardStartNode() : -1
+      if (start === -1) {
+        return false
+      }
+      this.setKeyboardFocus(start)
+      return true
+    }
+    const anchorNode = this.app.graph.getNode(this.state.keyboardFocus.anchor)
+    const anchor = anchorNode && this.isNodeVisible(anchorNode.data.index) ? anchorNode.data.index : index
+    const sequence = [anchor, ...this.getNodeNeighbors(this.app.nodeIndex.get(anchor), true)]
+    const position = sequence.indexOf(index) + step
+    if (position < 0 || position >= sequence.length) {
+      return false
+    }
+    this.setKeyboardFocus(sequence[position], anchor)
+    return true
+  }
+
+  /**
+   * Seleciona o nó em foco, que passa a ser o nó de origem do Tab
+   */
+  selectKeyboardFocus () {
+    const index = this.getKeyboardFocus()
+    if (index === -1) {
+      return
+    }
+    const node = this.getNodeByIndex(index)
+    this.highlight()
+    this.updateSelection([])
+    this.setSelectedNode(index)
+    this.state.keyboardFocus.anchor = node.id
+    this.announcer.announce('Selecionado', this.getOption('tooltipFormat').call(this, node))
+  }
+
+  /**
+   * Inicia o arraste de um nó. Os eventos de arraste só são disparados após o primeiro
+   * deslocamento do mouse: pressionar e soltar sem mover é um clique comum.
+   * @param {Number} index Índice do nó
+   * @param {Object} event Evento pointerdown
+   */
+  startNodeDrag (index, event) {
+    const position = this.matrices.nodesPositions[index]
+    const origin = this.getCanvasMousePosition(event)
+    const [x, y] = this.getCanvasGraphPos(origin)
+    // Mantendo a distância entre o mouse e o centro do nó. No toque, pequenos
+    // deslocamentos do dedo não iniciam o arraste.
+    this.state.draggedNode = {
+      index,
+      origin,
+      start: [position[0], position[1]],
+      offset: [position[0] - x, position[1] - y],
+      threshold: event.pointerType === 'touch' ? TAP_DISTANCE : 0,
+      moved: false
+    }
+    select(window)
+      .on(`pointermove.${this.app.canvasID}`, (moveEvent) => {
+        moveEvent.pointerId === event.pointerId && this.dragNode(moveEvent)
+      })
+      .on(`pointerup.${this.app.canvasID} pointercancel.${this.app.canvasID}`, (upEvent) => {
+        upEvent.pointerId === event.pointerId && this.endNodeDrag(upEvent)
+      })
+  }
+
+  /**
+   * Move o nó arrastado para a posição do mouse
+   * @param {Object} event Evento pointermove
+   */
+  dragNode (event) {
+    const drag = this.state.draggedNode
+    if (!drag) {
+      return
+    }
+    const position = this.getCanvasMousePosition(event)
+    if (!drag.moved && this.distance(...drag.origin, ...position) <= drag.threshold) {
+      return
+    }
+    const node = this.getNodeByIndex(drag.index)
+    if (!drag.moved) {
+      drag.moved = true
+      // O layout de forças sobrescreveria a posição do nó
+      this.stopLayout()
+      this.tooltip.hide()
+      this.setCursorStyle('grabbing')
+      this.raiseEvent('nodedragstart', { event, node, x: node.data.x, y: node.data.y })
+    }
+    const [x, y] = this.getCanvasGraphPos(position)
+    this.moveNode(drag.index, [x + drag.offset[0], y + drag.offset[1]])
+    this.raiseEvent('nodedrag', { event, node, x: node.data.x, y: node.data.y })
+  }
+
+  /**
+   * Encerra o arraste do nó
+   * @param {Object} event Evento pointerup
+   */
+  endNodeDrag (event) {
+    const drag = this.state.draggedNode
+    select(window)
+      .on(`pointermove.${this.app.canvasID}`, null)
+      .on(`pointerup.${this.app.canvasID} pointercancel.${this.app.canvasID}`, null)
+    this.state.draggedNode = null
+    if (!drag || !drag.moved) {
+      return
+    }
+    // O nó arrastado não é selecionado (o navegador só dispara o clique do mouse sobre o canvas)
+    this.state.ignoreClick = event.pointerType !== 'touch' && event.target === this.app.canvas
+    this.setCursorStyle('pointer')
+    const node = this.getNodeByIndex(drag.index)
+    this.raiseEvent('nodedragend', { event, node, x: node.data.x, y: node.data.y })
+  }
+
+  /**
+   * Desfaz o arraste em andamento (ex.: um segundo dedo inicia uma pinça), devolvendo o nó
+   * à posição inicial, para que o zoom volte a receber os gestos
+   * @param {Object} event Evento que interrompeu o arraste
+   */
+  cancelNodeDrag (event) {
+    const drag = this.state.draggedNode
+    if (!drag) {
+      return
+    }
+    select(window)
+      .on(`pointermove.${this.app.canvasID}`, null)
+      .on(`pointerup.${this.app.canvasID} pointercancel.${this.app.canvasID}`, null)
+    this.state.draggedNode = null
+    if (!drag.moved) {
+      return
+    }
+    this.moveNode(drag.index, drag.start)
+    this.setCursorStyle('pointer')
+    const node = this.getNodeByIndex(drag.index)
+    this.raiseEvent('nodedragend', { event, node, x: node.data.x, y: node.data.y, cancelled: true })
+  }
+
+  /**
+   * Altera a posição de um nó no espaço do grafo, atualizando o modelo do grafo (x, y e
+   * position), os buffers do nó e das suas arestas e os rótulos. O índice de busca é
+   * descartado e recriado na próxima busca.
+   * @param {Number} index Índice do nó
+   * @param {Number[]} position Nova posição no espaço do grafo [x, y]
+   */
+  moveNode (index, [x, y]) {
+    if (this.state.destroyed) {
+      return
+    }
+    const node = this.getNodeByIndex(index)
+    const position = node.data.position
+    position[0] = x
+    position[1] = y
+    node.data.x = this.scales.x.invert(x)
+    node.data.y = this.scales.y.invert(y)
+    // As matrizes das arestas referenciam o mesmo array de posição, basta atualizar os buffers
+    this.buffers.nodes.subdata(position, index * position.length * Float32Array.BYTES_PER_ELEMENT)
+    this.updateNodeEdges(node)
+    this.searchIndex = null
+    this.labels && this.labels.invalidate()
+    this.render()
+  }
+
+  /**
+   * Atribui o nó (ponto) selecionado
+   * @param {Number} idx Índice do nó selecionado
+   */
+  setSelectedNode (idx = -1) {
+    if (this.state.selectedNode !== idx) {
+      this.state.selectedNode = idx
+      if (idx !== -1) {
+        const node = this.getNodeByIndex(idx)
+        this.setSelectedNeighbors(idx)
+        // console.log('nó selecionado:', node)
+        // Disponibilizando o evento na biblioteca
+        this.raiseEvent('nodeselect', node)
+      } else {
+        this.setSelectedNeighbors()
+      }
+      this.render()
+    }
+  }
+
+  /**
+   * Retorna o nó selecionado
+   * @returns Nó selecionado ou -1 para nenhum
+   */
+  getSelectedNode () {
+    return this.state.selectedNode
+  }
+
+  /**
+   * Inicia o desenho de uma área de seleção (retângulo ou laço). O acompanhamento do
+   * mouse é feito na janela para que a seleção continue fora do canvas.
+   * @param {String} mode Tipo da área: rectangle | lasso
+   * @param {Object} event Evento pointerdown
+   */
+  startSelectionShape (mode, event) {
+    const position = this.getCanvasMousePosition(event)
+    this.state.selectionShape = { mode, origin: position, points: [position] }
+    this.setHoveredNode()
+    this.tooltip.hide()
+    this.setCursorStyle('crosshair')
+    select(window)
+      .on(`pointermove.${this.app.canvasID}`, (moveEvent) => {
+        moveEvent.isPrimary && this.updateSelectionShape(this.getCanvasMousePosition(moveEvent))
+      })
+      .on(`pointerup.${this.app.canvasID} pointercancel.${this.app.canvasID}`, (upEvent) => {
+        upEvent.isPrimary && this.endSelectionShape(upEvent)
+      })
+  }
+
+  /**
+   * Acrescenta a posição do mouse à área de seleção em desenho
+   * @param {Number[]} position Posição do mouse no canvas [x, y]
+   */
+  updateSelectionShape (position) {
+    const shape = this.state.selectionShape
+    if (!shape) {
+      return
+    }
+    if (shape.mode === 'rectangle') {
+      const [x0, y0] = shape.origin
+      const [x1, y1] = position
+      shape.points = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]]
+    } else {
+      // Descartando deslocamentos muito pequenos (menos vértices no polígono)
+      const [lastX, lastY] = shape.points[shape.points.length - 1]
+      if (this.distance(lastX, lastY, position[0], position[1]) < 2) {
+        return
+      }
+      shape.points.push(position)
+    }
+    this.render()
+  }
+
+  /**
+   * Encerra o desenho da área de seleção e seleciona os nós contidos nela.
+   * Áreas muito pequenas são descartadas e tratadas como um clique comum.
+   * @param {Object} event Evento pointerup
+   */
+  endSelectionShape (event) {
+    const shape = this.state.selectionShape
+    select(window)
+      .on(`pointermove.${this.app.canvasID}`, null)
+      .on(`pointerup.${this.app.canvasID} pointercancel.${this.app.canvasID}`, null)
+    this.state.selectionShape = null
+    this.setCursorStyle('default')
+    if (!shape) {
+      return
+    }
+    const xs = shape.points.map(p => p[0])
+    const ys = shape.points.map(p => p[1])
+    const degenerate = shape.points.length < 3 ||
+      (Math.max(...xs) - Math.min(...xs) < 3 && Math.max(...ys) - Math.min(...ys) < 3)
+    if (degenerate) {
+      this.render()
+      return
+    }
+    // O navegador só dispara o clique se o mouse for solto sobre o canvas
+    this.state.ignoreClick = event.pointerType !== 'touch' && event.target === this.app.canvas
+    this.updateSelection(this.getNodesInPolygon(shape.points.map(p => this.getCanvasGraphPos(p))))
+    this.render()
+  }
+
+  /**
+   * Retorna os índices dos nós contidos em um polígono. Os candidatos são obtidos
+   * pelo índice espacial (retângulo envolvente) e refinados pelo teste ponto-em-polígono.
+   * @param {Number[][]} polygon Vértices do polígono nas coordenadas do grafo [[x, y], ...]
+   * @returns {Number[]} Índices dos nós
+   */
+  getNodesInPolygon (polygon) {
+    const xs = polygon.map(p => p[0])
+    const ys = polygon.map(p => p[1])
+    const candidates = this.getSearchIndex().range(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys))
+    return candidates
+      .filter(i => this.isNodeVisible(i) && this.pointInPolygon(this.matrices.nodesPositions[i][0], this.matrices.nodesPositions[i][1], polygon))
+      .sort((a, b) => a - b)
+  }
+
+  /**
+   * Atribui a seleção múltipla de nós
+   * @param {String[]|Number[]} nodesIds Array de IDs dos nós (IDs inexistentes são ignorados)
+   */
+  setSelectedNodes (nodesIds = []) {
+    const indexes = []
+    nodesIds.forEach((id) => {
+      const node = this.app.graph.getNode(id)
+      node && indexes.push(node.data.index)
+    })
+    this.updateSelection([...new Set(indexes)])
+    this.render()
+  }
+
+  /**
+   * Retorna os IDs dos nós da seleção múltipla
+   * @returns {String[]|Number[]} IDs dos nós selecionados
+   */
+  getSelectedNodes () {
+    return this.state.selectedNodes.map(i => this.app.nodeIndex.get(i))
+  }
+
+  /**
+   * Atualiza a seleção múltipla (índices dos nós) e dispara o evento 'selectionchange' quando há alteração.
+   * Uma seleção múltipla substitui a seleção simples e os destaques.
+   * @param {Number[]} indexes Índices dos nós
+   */
+  updateSelection (indexes) {
+    const current = this.state.selectedNodes
+    if (indexes.length === current.length && indexes.every((index, i) => index === current[i])) {
+      return
+    }
+    this.state.selectedNodes = indexes
+    if (indexes.length) {
+      this.state.highlightedNodes = []
+      this.setSelectedNode()
+    }
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('selectionchange', {
+      ids: this.getSelectedNodes(),
+      nodes: indexes.map(i => this.getNodeByIndex(i))
+    })
+  }
+
+  /**
+   * Atribui os vizinhos do nó (ponto) selecionado
+   * @param {Number[]} [index] Índice do nó selecionado
+   */
+  setSelectedNeighbors (index = null) {
+    const distances = index !== null && index !== -1 ? this.getNeighborsDistances(index) : new Map()
+    this.state.selectedDistances = distances
+    this.state.selectedNeighbors = [...distances.keys()].slice(1).map(id => this.app.graph.getNode(id).data.index)
+    this.state.egoDirty = true
+  }
+
+  /**
+   * Retorna os vizinhos do nó selecionado ou [] para nenhum
+   * @returns Vizinhos do nó selecionado ou [] para nenhum
+   */
+  getSelectedNeighbors () {
+    return this.state.selectedNeighbors
+  }
+
+  /**
+   * Atribui o nó (ponto) a ser realçado
+   * @param {Number} idx Índice do nó a ser realçado
+   */
+  setHoveredNode (idx = -1) {
+    // O mesmo nó realçado novamente (ex.: o mouse se movendo sobre ele) mantém a sua rede ego
+    if (this.state.hoveredNode === idx) {
+      return
+    }
+    // Atribuindo com 'this.set' porque há watcher para essa variável
+    this.set('state.hoveredNode', idx)
+    this.setHoverNeighbors(idx)
+    this.render()
+  }
+
+  /**
+   * Retorna o nó realçado ou -1 para nenhum
+   * @returns Nó realçado ou -1 para nenhum
+   */
+  getHoveredNode () {
+    return this.state.hoveredNode
+  }
+
+  /**
+   * Atribui os vizinhos do nó (ponto) a ser realçado
+   * @param {Number[]} [index] Índice do nó a ser realçado
+   */
+  setHoverNeighbors (index = null) {
+    const distances = index !== null && index !== -1 ? this.getNeighborsDistances(index) : new Map()
+    this.state.hoverDistances = distances
+    this.state.hoverNeighbors = [...distances.keys()].slice(1).map(id => this.app.graph.getNode(id).data.index)
+    this.state.egoDirty = true
+  }
+
+  /**
+   * Retorna os vizinhos do nó realçado ou [] para nenhum
+   * @returns Vizinhos do nó realçado ou [] para nenhum
+   */
+  getHoverNeighbors () {
+    return this.state.hoverNeighbors
+  }
+
+  /**
+   * Retorna a rede ego de um nó de acordo com as opções 'neighborsDepth' e 'neighborsDirection'.
+   * Os nós ocultos pelo filtro não fazem parte da rede.
+   * @param {Number} index Índice do nó central
+   * @returns {Map} Distâncias (saltos) por ID, na ordem da busca (o nó central primeiro)
+   */
+  getNeighborsDistances (index) {
+    return getEgoNetwork(this.app.graph, this.app.nodeIndex.get(index), {
+      depth: this.maxNumber(1, this.getOption('neighborsDepth')),
+      direction: this.getOption('neighborsDirection'),
+      isAllowed: node => this.isNodeVisible(node.data.index)
+    })
+  }
+
+  /**
+   * Retorna os nós da rede ego de um nó (vizinhos de até N saltos), sem o próprio nó
+   * @param {String|Number} nodeID ID do nó
+   * @param {Object} [options] Opções { depth, direction }
+   * @param {Number} [options.depth] Número máximo de saltos (Infinity para todos os nós
+   * alcançáveis). Padrão: opção 'neighborsDepth'
+   * @param {String} [options.direction] Sentido das arestas: incoming | outgoing | both.
+   * Padrão: opção 'neighborsDirection'
+   * @returns {Object[]} Nós e suas distâncias { node, distance }, ordenados pela distância
+   */
+  getNodeEgoNetwork (nodeID, { depth = this.getOption('neighborsDepth'), direction = this.getOption('neighborsDirection') } = {}) {
+    if (!this.app.graph.getNode(nodeID)) {
+      return []
+    }
+    const distances = getEgoNetwork(this.app.graph, nodeID, {
+      depth,
+      direction,
+      isAllowed: node => this.isNodeVisible(node.data.index)
+    })
+    return [...distances].slice(1).map(([id, distance]) => ({ node: this.app.graph.getNode(id), distance }))
+  }
+
+  /**
+   * Opacidade dos nós e arestas de uma rede ego de acordo com a distância ao nó central:
+   * os vizinhos diretos são opacos e cada salto seguinte reduz a opacidade em
+   * 'neighborsFading' (até a opacidade dos nós esmaecidos)
+   * @param {Number} distance Distância (saltos)
+   * @returns {Number} Opacidade
+   */
+  getNeighborsAlpha (distance) {
+    return this.maxNumber(0.2, 1 - this.getOption('neighborsFading') * this.maxNumber(0, distance - 1))
+  }
+
+  /**
+   * Retorna as opacidades de uma aresta nas redes ego dos nós realçado e selecionado
+   * @param {Object} link Objeto ngraph da aresta
+   * @returns {Number[]} Opacidades [realçado, selecionado] (0 fora da rede)
+   */
+  getEdgeEgoAlphas (link) {
+    const depth = this.maxNumber(1, this.getOption('neighborsDepth'))
+    const direction = this.getOption('neighborsDirection')
+    return [this.state.hoverDistances, this.state.selectedDistances].map((distances) => {
+      const distance = distances.size ? getEgoEdgeDistance(link, distances, depth, direction) : -1
+      return distance === -1 ? 0 : this.getNeighborsAlpha(distance)
+    })
+  }
+
+  /**
+   * (Re)carrega os buffers das opacidades das arestas nas redes ego (mesma separação por peso
+   * dos demais buffers das arestas)
+   */
+  loadEgoBuffers () {
+    this.state.egoDirty = false
+    const egoByWeight = new Map()
+    this.app.graph.forEachLink((link) => {
+      const weight = this.getEdgeWeight(link)
+      if (!egoByWeight.has(weight)) {
+        egoByWeight.set(weight, [])
+      }
+      egoByWeight.get(weight).push(this.getEdgeEgoAlphas(link))
+    })
+    const buffers = this.buffers.edgesEgo
+    buffers.forEach((buffer, key) => {
+      if (!this.buffers.edges.has(key)) {
+        buffer.destroy()
+        buffers.delete(key)
+      }
+    })
+    this.buffers.edges.forEach((value, key) => {
+      const data = egoByWeight.get(key) || []
+      if (buffers.has(key)) {
+        buffers.get(key)(data)
+      } else {
+        buffers.set(key, this.app.regl.buffer(data))
+      }
+    })
+  }
+
+  /**
+   * Destaca nós no grafo baseado em uma lista de IDs desses nós
+   * @param {String[]|Number[]} nodesIds Array de IDs dos nós
+   */
+  highlight (nodesIds = null) {
+    this.setLegendEntry(null)
+    this.state.path = null
+    if (nodesIds !== null) {
       const nodesIndexes = nodesIds.map(id => this.app.graph.getNode(id).data.index)
       this.state.highlightedNodes = nodesIndexes
       this.setSelectedNode()
@@ -599,6 +2648,375 @@ export default class ReglGraph {
     return this.state.highlightedNodes
   }
 
+  /**
+   * Busca e destaca o caminho mínimo entre dois nós: os nós do caminho são plotados opacos,
+   * as arestas do caminho mais espessas e na cor 'pathColor', e os demais nós e arestas
+   * esmaecidos. Os nós ocultos pelo filtro não fazem parte do caminho. Sem caminho, o
+   * destaque é removido.
+   * @param {String|Number} sourceId ID do nó de origem
+   * @param {String|Number} targetId ID do nó de destino
+   * @param {Object} [options] Opções { weighted, directed }
+   * @param {Boolean} [options.weighted] Caminho de menor peso total (Dijkstra, com o peso das
+   * arestas como custo). Padrão: false (menor número de arestas, busca em largura)
+   * @param {Boolean} [options.directed] Percorre as arestas apenas no sentido origem -> destino.
+   * Padrão: opção 'directed'
+   * @returns {Object|null} Caminho { source, target, nodes (IDs), links (objetos ngraph), distance }
+   * ou null se não houver caminho
+   */
+  highlightPath (sourceId, targetId, { weighted = false, directed = this.getOption('directed') } = {}) {
+    const source = this.app.graph.getNode(sourceId)
+    const target = this.app.graph.getNode(targetId)
+    if (!source || !target) {
+      this.getOption('log') && console.warn('Nó não encontrado:', source ? targetId : sourceId)
+      return null
+    }
+    this.highlight()
+    this.updateSelection([])
+    this.setSelectedNode()
+    const visible = this.isNodeVisible(source.data.index) && this.isNodeVisible(target.data.index)
+    const path = visible
+      ? shortestPath(this.app.graph, source.id, target.id, {
+        weighted,
+        directed,
+        isAllowed: node => this.isNodeVisible(node.data.index)
+      })
+      : null
+    this.state.path = path ? { source: source.id, target: target.id, ...path } : null
+    this.render()
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('pathchange', { source: source.id, target: target.id, path: this.state.path })
+    return this.state.path
+  }
+
+  /**
+   * Retorna o caminho destacado
+   * @returns {Object|null} Caminho { source, target, nodes, links, distance } ou null para nenhum
+   */
+  getPath () {
+    return this.state.path
+  }
+
+  /**
+   * Remove o destaque do caminho
+   */
+  clearPath () {
+    if (this.state.path) {
+      this.state.path = null
+      this.render()
+    }
+  }
+
+  /**
+   * Habilita ou desabilita o modo de seleção de caminhos: o clique em um nó define a origem
+   * (o nó é selecionado) e o clique em um segundo nó destaca o caminho entre eles
+   * (highlightPath). O clique fora dos nós desfaz a origem e o caminho.
+   * @param {Boolean} [enabled] Habilita o modo. Padrão: true
+   * @param {Object} [options] Opções de highlightPath { weighted, directed }
+   */
+  setPathMode (enabled = true, options = {}) {
+    this.state.pathMode = enabled ? { options, source: null } : null
+  }
+
+  /**
+   * Filtra os nós exibidos. Os nós rejeitados pelo predicado e suas arestas são ocultados
+   * (nos shaders) e deixam de ser considerados na busca pelo mouse e nos vizinhos realçados.
+   * O filtro é mantido na substituição dos dados (setData) e na atualização dos nós.
+   * @param {Function} predicate Função (node) => Boolean, executada com o objeto ngraph do nó
+   */
+  setFilter (predicate) {
+    if (typeof predicate !== 'function') {
+      throw new Error('O filtro deve ser uma função (node) => Boolean')
+    }
+    this.setLegendEntry(null)
+    this.state.filter = predicate
+    this.applyFilter()
+  }
+
+  /**
+   * Remove o filtro, exibindo novamente todos os nós e arestas
+   */
+  clearFilter () {
+    this.setLegendEntry(null)
+    if (this.state.filter !== null) {
+      this.state.filter = null
+      this.applyFilter()
+    }
+  }
+
+  /**
+   * Reavalia o filtro para todos os nós e atualiza apenas os buffers de visibilidade
+   * (posições, cores, rótulos e legenda não mudam)
+   */
+  applyFilter () {
+    if (this.state.destroyed) {
+      return
+    }
+    this.matrices.nodesVisibility = this.matrices.nodesPositions.map((position, index) => {
+      return this.filterNode(this.app.nodeIndex.get(index)) ? 1 : 0
+    })
+    this.loadEdgesVisibility()
+    if (this.buffers.nodesVisibility) {
+      this.buffers.nodesVisibility.subdata(this.matrices.nodesVisibility)
+    }
+    // Descartando os nós realçado e selecionado que ficaram ocultos
+    if (this.state.hoveredNode !== -1 && !this.isNodeVisible(this.state.hoveredNode)) {
+      this.tooltip.hide()
+      this.setHoveredNode()
+    }
+    if (this.state.selectedNode !== -1 && !this.isNodeVisible(this.state.selectedNode)) {
+      this.setSelectedNode()
+    }
+    // Os vizinhos dependem dos nós visíveis
+    this.state.hoveredNode !== -1 && this.setHoverNeighbors(this.state.hoveredNode)
+    this.state.selectedNode !== -1 && this.setSelectedNeighbors(this.state.selectedNode)
+    this.state.egoDirty = true
+    this.state.pickingDirty = true
+    this.render()
+  }
+
+  /**
+   * Recalcula a visibilidade das arestas (separada por peso, na mesma ordem das demais matrizes
+   * das arestas) e atualiza os buffers de visibilidade existentes
+   */
+  loadEdgesVisibility () {
+    const edgesVisibilityByWeight = new Map()
+    this.app.graph.forEachLink((link) => {
+      const weight = this.getEdgeWeight(link)
+      if (!edgesVisibilityByWeight.has(weight)) {
+        edgesVisibilityByWeight.set(weight, [])
+      }
+      edgesVisibilityByWeight.get(weight).push(this.isEdgeVisible(link) ? 1 : 0)
+    })
+    this.matrices.edgesVisibilityByWeight = edgesVisibilityByWeight
+    this.buffers.edgesVisibility.forEach((buffer, key) => {
+      if (edgesVisibilityByWeight.has(key)) {
+        buffer.subdata(edgesVisibilityByWeight.get(key))
+      }
+    })
+  }
+
+  /**
+   * Avalia o filtro para um nó
+   * @param {String|Number} id ID do nó
+   * @returns {Boolean} Verdadeiro se o nó é exibido (ou não há filtro)
+   */
+  filterNode (id) {
+    if (this.state.filter === null) {
+      return true
+    }
+    return Boolean(this.state.filter(this.app.graph.getNode(id)))
+  }
+
+  /**
+   * Indica se um nó está visível (não foi ocultado pelo filtro)
+   * @param {Number} index Índice do nó
+   * @returns {Boolean} Verdadeiro para nós visíveis
+   */
+  isNodeVisible (index) {
+    return this.matrices.nodesVisibility[index] !== 0
+  }
+
+  /**
+   * Indica se uma aresta está visível (os dois nós estão visíveis)
+   * @param {Object} link Objeto ngraph da aresta
+   * @returns {Boolean} Verdadeiro para arestas visíveis
+   */
+  isEdgeVisible (link) {
+    return this.isNodeVisible(this.app.graph.getNode(link.fromId).data.index) &&
+      this.isNodeVisible(this.app.graph.getNode(link.toId).data.index)
+  }
+
+  /**
+   * Colore os nós a partir de um atributo. Nós sem valor válido mantêm a própria cor.
+   * @param {String|null} attribute Nome do atributo ou null para voltar às cores dos nós
+   * @param {Object} [options] Opções da escala { type, palette, domain, midpoint }
+   * @param {String} [options.type] Tipo da escala: categorical | sequential | diverging
+   * @param {String[]|Function} [options.palette] Array de cores ou interpolador do d3
+   */
+  colorBy (attribute, options = {}) {
+    this.setEncoding('nodeColor', attribute, options)
+  }
+
+  /**
+   * Dimensiona os nós a partir de um atributo numérico. Nós sem valor válido mantêm o próprio tamanho.
+   * @param {String|null} attribute Nome do atributo ou null para voltar aos tamanhos dos nós
+   * @param {Object} [options] Opções da escala { scale, range, domain }
+   * @param {String} [options.scale] Tipo da escala: linear | sqrt | log
+   * @param {Number[]} [options.range] Tamanhos mínimo e máximo (padrão: 'nodesSizeRange')
+   */
+  sizeBy (attribute, options = {}) {
+    this.setEncoding('nodeSize', attribute, options)
+  }
+
+  /**
+   * Colore as arestas a partir de um atributo, com prioridade sobre 'edgesColorMode'
+   * @param {String|null} attribute Nome do atributo ou null para voltar às cores das arestas
+   * @param {Object} [options] Opções da escala (ver colorBy)
+   */
+  edgeColorBy (attribute, options = {}) {
+    this.setEncoding('edgeColor', attribute, options)
+  }
+
+  /**
+   * Define a espessura das arestas a partir de um atributo numérico
+   * @param {String|null} attribute Nome do atributo ou null para voltar aos pesos das arestas
+   * @param {Object} [options] Opções da escala (ver sizeBy). Padrão de 'range': 'edgesWeightRange'
+   */
+  edgeWidthBy (attribute, options = {}) {
+    this.setEncoding('edgeWidth', attribute, options)
+  }
+
+  /**
+   * Atribui (ou remove) uma codificação visual por atributo e atualiza os buffers
+   * @param {String} name Codificação: nodeColor | nodeSize | edgeColor | edgeWidth
+   * @param {String|null} attribute Nome do atributo ou null para remover a codificação
+   * @param {Object} options Opções da escala
+   */
+  setEncoding (name, attribute, options) {
+    if (this.state.destroyed) {
+      return
+    }
+    const previous = this.state.encodings[name]
+    this.state.encodings[name] = attribute === null ? null : { attribute, options, scale: null }
+    try {
+      this.loadEncodings()
+    } catch (error) {
+      // Opções inválidas: mantendo a codificação anterior
+      this.state.encodings[name] = previous
+      throw error
+    }
+    this.loadBuffers()
+    this.render()
+  }
+
+  /**
+   * Retorna as configurações da legenda (opção 'legend') com os valores padrão
+   * @returns {Object|null} Configurações ou null se a legenda estiver desabilitada
+   */
+  getLegendOptions () {
+    const legend = this.getOption('legend')
+    if (!legend) {
+      return null
+    }
+    return {
+      title: null,
+      position: 'top-right',
+      action: 'highlight',
+      colors: true,
+      sizes: true,
+      labels: {},
+      maxItems: 12,
+      ...(legend === true ? {} : legend)
+    }
+  }
+
+  /**
+   * (Re)cria, atualiza ou remove a legenda de acordo com a opção 'legend'
+   */
+  loadLegend () {
+    const options = this.getLegendOptions()
+    if (options === null || this.state.destroyed) {
+      if (this.legend) {
+        this.legend.destroy()
+        this.legend = null
+      }
+      return
+    }
+    if (!this.legend) {
+      this.legend = createLegend(this.container, item => this.handleLegendClick(item))
+    }
+    this.legend.update({
+      title: options.title,
+      position: options.position,
+      sections: this.getLegendSections(options)
+    })
+    this.legend.setActive(this.state.legendEntry)
+  }
+
+  /**
+   * Gera as seções da legenda a partir das cores e tamanhos dos nós:
+   * - cores: categorias da codificação 'colorBy' (ou gradiente nas escalas contínuas) ou,
+   *   sem codificação, os grupos de nós com a mesma cor
+   * - tamanhos: menor e maior tamanho da codificação 'sizeBy' ou da escala de tamanhos dos dados
+   * @param {Object} options Configurações da legenda (ver getLegendOptions)
+   * @returns {Object[]} Seções { type: categories | gradient | sizes, title, ... }
+   */
+  getLegendSections (options) {
+    const sections = []
+    const format = value => typeof value === 'number' ? String(round(value)) : String(value)
+    const { nodeColor, nodeSize } = this.state.encodings
+    if (options.colors) {
+      if (nodeColor && nodeColor.scale.type !== 'categorical') {
+        const domain = nodeColor.scale.domain
+        const min = domain[0]
+        const max = domain[domain.length - 1]
+        const colors = []
+        for (let i = 0; i <= 10; i++) {
+          colors.push(nodeColor.scale.map(min + (max - min) * i / 10))
+        }
+        sections.push({ type: 'gradient', title: nodeColor.attribute, colors, min: format(min), max: format(max) })
+      } else {
+        // Agrupando os nós pelo valor do atributo ou pela cor
+        const groups = new Map()
+        this.app.nodeIndex.forEach((id, index) => {
+          const node = this.app.graph.getNode(id)
+          const value = nodeColor ? node.data[nodeColor.attribute] : null
+          const color = hexColor(this.matrices.nodeColors[index])
+          const key = nodeColor ? String(value) : color
+          if (!groups.has(key)) {
+            const label = options.labels[key] ?? (nodeColor && (value === undefined || value === null) ? '-' : key)
+            groups.set(key, { key, label, color, count: 0, nodes: new Set() })
+          }
+          groups.get(key).count++
+          groups.get(key).nodes.add(id)
+        })
+        const items = [...groups.values()]
+          .sort((a, b) => b.count - a.count)
+          .slice(0, options.maxItems)
+        // Uma única cor sem rótulo não é informativa
+        if (nodeColor || items.length > 1 || Object.keys(options.labels).length) {
+          sections.push({ type: 'categories', title: nodeColor ? nodeColor.attribute : null, items })
+        }
+      }
+    }
+    if (options.sizes) {
+      const domain = nodeSize ? nodeSize.scale.domain : this.scales.size.domain()
+      const size = nodeSize ? value => nodeSize.scale.map(value) : value => this.scales.size(value)
+      if (domain[0] !== domain[1]) {
+        const items = domain.map(value => ({ label: format(value), size: size(value) }))
+        sections.push({ type: 'sizes', title: nodeSize ? nodeSize.attribute : null, items, maxSize: Math.max(...items.map(item => item.size)) })
+      }
+    }
+    return sections
+  }
+
+  /**
+   * Tratamento do clique em um item de categoria da legenda: destaca (highlight) ou isola
+   * (filtro) os nós da categoria. Um novo clique no item ativo desfaz a ação.
+   * @param {Object} item Item da legenda { key, label, color, count, nodes }
+   */
+  handleLegendClick (item) {
+    const { action } = this.getLegendOptions()
+    const active = this.state.legendEntry === item.key
+    if (action === 'isolate') {
+      active ? this.clearFilter() : this.setFilter(node => item.nodes.has(node.id))
+    } else {
+      this.highlight(active ? null : [...item.nodes])
+    }
+    this.setLegendEntry(active ? null : item.key)
+    // Disponibilizando o evento na biblioteca
+    this.raiseEvent('legendclick', { key: item.key, label: item.label, nodes: [...item.nodes], active: !active })
+  }
+
+  /**
+   * Atribui o item ativo da legenda
+   * @param {String|null} key Chave do item ou null para nenhum
+   */
+  setLegendEntry (key) {
+    this.state.legendEntry = key
+    this.legend && this.legend.setActive(key)
+  }
+
   /**
    * Atribui um estilo ao cursor (mouse)
    * @param {String} value Tipo do cursor
@@ -636,7 +3054,7 @@ export default class ReglGraph {
   }
 
   /**
-   * Retorna os nós lincados (vizinhos) do nó informado
+   * Retorna os nós lincados (vizinhos) do nó informado. Os nós ocultos pelo filtro são ignorados.
    * @param {String} nodeID ID do nó
    * @param {Boolean} onlyIndex Indica se serão retornados apenas os índices dos nós
    * @returns Array de nós lincados ou apenas seus índices
@@ -644,11 +3062,33 @@ export default class ReglGraph {
   getNodeNeighbors (nodeID, onlyIndex = false) {
     const nodes = []
     this.app.graph.forEachLinkedNode(nodeID, (linkedNode) => {
-      nodes.push(onlyIndex ? linkedNode.data.index : linkedNode)
+      if (this.isNodeVisible(linkedNode.data.index)) {
+        nodes.push(onlyIndex ? linkedNode.data.index : linkedNode)
+      }
     })
     return nodes
   }
 
+  /**
+   * Retorna a posição do mouse relativa ao canvas (também para eventos fora do canvas)
+   * @param {Object} event Evento
+   * @returns {Number[]} Posição do mouse [x, y]
+   */
+  getCanvasMousePosition (event) {
+    const rect = this.app.canvas.getBoundingClientRect()
+    return [event.clientX - rect.left, event.clientY - rect.top]
+  }
+
+  /**
+   * Converte uma posição no canvas para as coordenadas do grafo (posições plotadas, antes
+   * da transformação de zoom). Para as coordenadas dos dados, ver screenToGraph.
+   * @param {Number[]} position Posição no canvas [x, y]
+   * @returns {Number[]} Posição nas coordenadas do grafo [x, y]
+   */
+  getCanvasGraphPos ([x, y]) {
+    return this.getScatterGlPos([this.getNdcX(x), this.getNdcY(y)])
+  }
+
   /**
    * Retorna a posição x do mouse independente da posição ou zoom
    * @param {Number} x Posição x do mouse
@@ -712,6 +3152,14 @@ export default class ReglGraph {
    * @returns Índice do ponto encontrado
    */
   raycast () {
+    // Seleção exata pela renderização de seleção (GPU), quando habilitada e disponível
+    if (this.getOption('gpuPicking')) {
+      const picked = this.pick()
+      if (picked !== null) {
+        return picked.node !== -1 ? picked.node : undefined
+      }
+    }
+    // Alternativa: busca pelo índice espacial (KDBush)
     let pointSize = 1000; //scale to zoom level
     const [mouseX, mouseY] = this.getScatterGlPos()
     const scaling = 1
@@ -726,7 +3174,7 @@ export default class ReglGraph {
     const yNormalizedScaledPointSize = scaledPointSize / this.app.height
 
     // Obtendo todos os pontos em uma faixa próxima
-    const pointsInBBox = this.searchIndex.range(
+    const pointsInBBox = this.getSearchIndex().range(
       mouseX - xNormalizedScaledPointSize,
       mouseY - yNormalizedScaledPointSize,
       mouseX + xNormalizedScaledPointSize,
@@ -737,179 +3185,1117 @@ export default class ReglGraph {
     let minDist = scaledPointSize
     let closestPoint
 
-    pointsInBBox.forEach(idx => {
-      const [x, y] = this.searchIndex.points[idx]
-      const d = this.distance(x, y, mouseX, mouseY)
-      // if (d < minDist && attributes.stateIndex[1] !== 0) {
-      if (d < minDist) {
-        minDist = d
-        closestPoint = idx
+    pointsInBBox.forEach(idx => {
+      const [x, y] = this.matrices.nodesPositions[idx]
+      const d = this.distance(x, y, mouseX, mouseY)
+      // if (d < minDist && attributes.stateIndex[1] !== 0) {
+      if (d < minDist && this.isNodeVisible(idx)) {
+        minDist = d
+        closestPoint = idx
+      }
+    })
+    return closestPoint
+  }
+
+  /**
+   * Elencando uma aresta sob o mouse (disponível apenas com a opção 'gpuPicking')
+   * @returns Objeto ngraph da aresta encontrada ou null
+   */
+  raycastEdge () {
+    if (!this.getOption('gpuPicking')) {
+      return null
+    }
+    const picked = this.pick()
+    return picked !== null ? picked.edge : null
+  }
+
+  /**
+   * Lê o pixel sob o mouse na renderização de seleção (picking), em que cada nó e aresta
+   * é plotado com uma cor que codifica seu índice. O resultado corresponde exatamente
+   * ao que está plotado (tamanho dos nós, zoom, espessura e curvatura das arestas).
+   * @returns {Object|null} { node, edge } (índice do nó ou -1 e objeto ngraph da aresta ou null)
+   * ou null se a renderização de seleção não estiver disponível
+   */
+  pick () {
+    if (this.state.destroyed) {
+      return null
+    }
+    const [mouseX, mouseY] = this.state.mousePosition
+    const { width, height } = this.app.canvas
+    const x = Math.floor(mouseX * this.app.pixelRatio)
+    const y = height - 1 - Math.floor(mouseY * this.app.pixelRatio)
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+      return { node: -1, edge: null }
+    }
+    try {
+      this.drawPicking()
+      const pixel = this.app.regl.read({ framebuffer: this.picking.framebuffer, x, y, width: 1, height: 1 })
+      const { type, id } = this.decodePickingColor(pixel)
+      return {
+        node: type === 'node' ? id : -1,
+        edge: type === 'edge' ? this.picking.links[id] || null : null
+      }
+    } catch (error) {
+      this.getOption('log') && console.warn('Renderização de seleção indisponível:', error)
+      return null
+    }
+  }
+
+  /**
+   * Renderiza os nós e arestas no framebuffer de seleção, caso o grafo tenha sido
+   * renderizado novamente desde a última leitura
+   */
+  drawPicking () {
+    const regl = this.app.regl
+    const { width, height } = this.app.canvas
+    if (!this.picking) {
+      const framebuffer = regl.framebuffer({ width, height, depth: false })
+      this.picking = {
+        framebuffer,
+        scope: regl({ framebuffer }),
+        nodesColors: regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        edgesColors: new Map(),
+        links: []
+      }
+    }
+    if (this.picking.framebuffer.width !== width || this.picking.framebuffer.height !== height) {
+      this.picking.framebuffer.resize(width, height)
+      this.state.pickingDirty = true
+    }
+    if (this.state.pickingDataDirty) {
+      this.loadPickingBuffers()
+      this.state.pickingDirty = true
+    }
+    if (!this.state.pickingDirty) {
+      return
+    }
+    this.state.pickingDirty = false
+    const props = this.getRenderProps()
+    // As arestas são selecionáveis apenas quando estão plotadas
+    const showEdges = (this.getOption('showEdges') || this.state.hoveredNode !== -1 || this.state.selectedNode !== -1) &&
+      (this.getOption('showEdgesOnMove') || !this.state.mouseDown)
+    this.picking.scope(() => {
+      regl.clear({ color: [0, 0, 0, 0] })
+      if (showEdges) {
+        const directed = this.getOption('directed')
+        const curvature = this.getOption('curvedEdges') ? this.getOption('edgesCurvature') : 0
+        if (this.state.egoDirty) {
+          this.loadEgoBuffers()
+        }
+        this.buffers.edges.forEach((value, key) => {
+          const edgesProps = {
+            ...props,
+            points: value,
+            colors: this.picking.edgesColors.get(key),
+            sizes: this.buffers.edgesSizes.get(key),
+            visibility: this.buffers.edgesVisibility.get(key),
+            ego: this.buffers.edgesEgo.get(key),
+            width: Number(key),
+            segments: this.matrices.edgesPositionsByWeight.get(key).length / 2,
+            hovered: this.getHoveredNode(),
+            selected: this.getSelectedNode(),
+            directed,
+            arrowSize: this.getOption('arrowSize'),
+            curvature
+          }
+          this.commands.pickEdges(edgesProps)
+          if (directed) {
+            this.commands.pickArrows(edgesProps)
+          }
+        })
+      }
+      this.commands.pickPoints({
+        ...props,
+        nodes: this.buffers.nodes,
+        length: this.matrices.nodesPositions.length,
+        colors: this.picking.nodesColors,
+        sizes: this.buffers.nodesSizes,
+        visibility: this.buffers.nodesVisibility,
+        styles: this.buffers.nodesStyles,
+        borderColors: this.buffers.nodesBorderColors,
+        ...this.getImagesProps(),
+        hovered: -1,
+        highlighted: false
+      })
+    })
+  }
+
+  /**
+   * Preenche os buffers de cores da renderização de seleção (índices codificados em cores)
+   */
+  loadPickingBuffers () {
+    const nodesColors = []
+    for (let i = 0; i < this.matrices.nodesPositions.length; i++) {
+      nodesColors.push(this.encodePickingColor(i, 'node'))
+    }
+    this.picking.nodesColors(nodesColors)
+    // As arestas seguem a mesma ordem (por peso) das matrizes de posições
+    const edgesColors = new Map()
+    const links = []
+    if (this.getOption('showEdges')) {
+      this.app.graph.forEachLink((link) => {
+        const color = this.encodePickingColor(link.data.index, 'edge')
+        const weight = this.getEdgeWeight(link)
+        if (!edgesColors.has(weight)) {
+          edgesColors.set(weight, [])
+        }
+        edgesColors.get(weight).push(color, color)
+        links[link.data.index] = link
+      })
+    }
+    this.picking.edgesColors.forEach((buffer, key) => {
+      if (!edgesColors.has(key)) {
+        buffer.destroy()
+        this.picking.edgesColors.delete(key)
       }
     })
-    return closestPoint
+    edgesColors.forEach((value, key) => {
+      if (this.picking.edgesColors.has(key)) {
+        this.picking.edgesColors.get(key)(value)
+      } else {
+        this.picking.edgesColors.set(key, this.app.regl.buffer(value))
+      }
+    })
+    this.picking.links = links
+    this.state.pickingDataDirty = false
   }
 
   /**
-   * Cria os buffers para o grafo (nós e arestas)
+   * Codifica um índice em uma cor RGBA. O canal alfa identifica o tipo do elemento.
+   * @param {Number} index Índice do nó ou da aresta
+   * @param {String} type Tipo do elemento: node | edge
+   * @returns {Number[]} Cor no formato vec4
+   */
+  encodePickingColor (index, type) {
+    const id = index + 1
+    return [
+      (id & 255) / 255,
+      ((id >> 8) & 255) / 255,
+      ((id >> 16) & 255) / 255,
+      type === 'node' ? 1.0 : 0.5
+    ]
+  }
+
+  /**
+   * Decodifica a cor de um pixel da renderização de seleção
+   * @param {Uint8Array} pixel Pixel RGBA
+   * @returns {Object} { type, id } (type: node | edge | null)
+   */
+  decodePickingColor (pixel) {
+    const id = pixel[0] + (pixel[1] << 8) + (pixel[2] << 16) - 1
+    if (id < 0 || pixel[3] < 64) {
+      return { type: null, id: -1 }
+    }
+    return { type: pixel[3] > 191 ? 'node' : 'edge', id }
+  }
+
+  /**
+   * Cria ou atualiza os buffers para o grafo (nós e arestas)
    * @param {String} type tipo de buffer a ser criado: nodes | edges
+   * @param {Number[]} [weights] Pesos das arestas a serem atualizados (todos se não informado)
    */
-  loadBuffers (type = null) {
+  loadBuffers (type = null, weights = null) {
+    if (this.state.destroyed) {
+      return
+    }
     const showEdges = this.getOption('showEdges')
+    // Os buffers da renderização de seleção acompanham os dados
+    this.state.pickingDataDirty = true
     if (type === 'nodes' || type === null) {
-      this.buffers.nodes = this.app.regl.buffer(this.matrices.nodesPositions)
+      if (this.buffers.nodes) {
+        this.buffers.nodes(this.matrices.nodesPositions)
+        this.buffers.nodesColors(this.matrices.nodeColors)
+        this.buffers.nodesSizes(this.matrices.sizes)
+        this.buffers.nodesVisibility(this.matrices.nodesVisibility)
+        this.buffers.nodesStyles(this.matrices.nodesStyles)
+        this.buffers.nodesBorderColors(this.matrices.nodesBorderColors)
+      } else {
+        this.buffers.nodes = this.app.regl.buffer(this.matrices.nodesPositions)
+        this.buffers.nodesColors = this.app.regl.buffer(this.matrices.nodeColors)
+        this.buffers.nodesSizes = this.app.regl.buffer(this.matrices.sizes)
+        this.buffers.nodesVisibility = this.app.regl.buffer(this.matrices.nodesVisibility)
+        this.buffers.nodesStyles = this.app.regl.buffer(this.matrices.nodesStyles)
+        this.buffers.nodesBorderColors = this.app.regl.buffer(this.matrices.nodesBorderColors)
+      }
+      this.state.nodesCapacity = this.matrices.nodesPositions.length
+      // Os rótulos dependem dos nós e de suas posições
+      this.loadLabels()
+      // A legenda depende das cores e tamanhos dos nós
+      this.loadLegend()
     }
     if (showEdges && (type === 'edges' || type === null)) {
-      this.matrices.edgesPositionsByWeight.forEach((value, key) => {
-        this.buffers.edges.set(key, this.app.regl.buffer(value))
+      // Buffers de posições e de cores das arestas, separados por peso
+      const edgesBuffers = [
+        [this.buffers.edges, this.matrices.edgesPositionsByWeight],
+        [this.buffers.edgesColors, this.matrices.edgesColorsByWeight],
+        [this.buffers.edgesSizes, this.matrices.edgesSizesByWeight],
+        [this.buffers.edgesVisibility, this.matrices.edgesVisibilityByWeight]
+      ]
+      // As opacidades das redes ego acompanham os buffers das arestas (ver loadEgoBuffers)
+      this.state.egoDirty = true
+      edgesBuffers.forEach(([buffers, matrix]) => {
+        // Descartando os buffers de pesos que deixaram de existir
+        buffers.forEach((buffer, key) => {
+          if (!matrix.has(key)) {
+            buffer.destroy()
+            buffers.delete(key)
+          }
+        })
+        matrix.forEach((value, key) => {
+          if (weights !== null && !weights.includes(key)) {
+            return
+          }
+          if (buffers.has(key)) {
+            buffers.get(key)(value)
+          } else {
+            buffers.set(key, this.app.regl.buffer(value))
+          }
+        })
+      })
+    }
+  }
+
+  /**
+   * Envia aos buffers dos nós apenas os nós acrescentados a partir de um índice. Quando a
+   * capacidade dos buffers é excedida, eles são realocados com o dobro da capacidade.
+   * @param {Number} start Índice do primeiro nó acrescentado
+   */
+  appendNodesBuffers (start) {
+    if (this.state.destroyed) {
+      return
+    }
+    const bytes = Float32Array.BYTES_PER_ELEMENT
+    const count = this.matrices.nodesPositions.length
+    // Buffer, matriz e número de valores por nó
+    const nodesBuffers = [
+      ['nodes', this.matrices.nodesPositions, 3],
+      ['nodesColors', this.matrices.nodeColors, 4],
+      ['nodesSizes', this.matrices.sizes, 1],
+      ['nodesVisibility', this.matrices.nodesVisibility, 1],
+      ['nodesStyles', this.matrices.nodesStyles, 3],
+      ['nodesBorderColors', this.matrices.nodesBorderColors, 4]
+    ]
+    // Os buffers da renderização de seleção acompanham os dados
+    this.state.pickingDataDirty = true
+    if (!this.buffers.nodes || count > this.state.nodesCapacity) {
+      const capacity = this.maxNumber(count, this.state.nodesCapacity * 2)
+      nodesBuffers.forEach(([name, matrix, size]) => {
+        this.buffers[name] && this.buffers[name].destroy()
+        this.buffers[name] = this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: capacity * size * bytes })
+        this.buffers[name].subdata(matrix)
+      })
+      this.state.nodesCapacity = capacity
+      return
+    }
+    nodesBuffers.forEach(([name, matrix, size]) => {
+      this.buffers[name].subdata(matrix.slice(start), start * size * bytes)
+    })
+  }
+
+  /**
+   * Carrega os rótulos dos nós, ordenados pela prioridade de exibição
+   */
+  loadLabels () {
+    if (!this.labels) {
+      return
+    }
+    const labelsPriority = this.getOption('labelsPriority')
+    const labels = []
+    this.app.nodeIndex.forEach((id, index) => {
+      const node = this.app.graph.getNode(id)
+      if (typeof node.data.label === 'undefined' || node.data.label === null) {
+        return
+      }
+      labels.push({
+        index,
+        text: String(node.data.label),
+        priority: this.getLabelPriority(node, labelsPriority)
       })
+    })
+    labels.sort((a, b) => b.priority - a.priority)
+    this.labels.setLabels(labels)
+  }
+
+  /**
+   * Retorna a prioridade de exibição do rótulo de um nó
+   * @param {Object} node Objeto ngraph do nó
+   * @param {String|Function} labelsPriority 'size', 'degree', nome de um atributo ou função (node) => Number
+   * @returns {Number} Prioridade (maior primeiro)
+   */
+  getLabelPriority (node, labelsPriority) {
+    if (typeof labelsPriority === 'function') {
+      return Number(labelsPriority(node)) || 0
     }
+    if (labelsPriority === 'degree') {
+      return node.links ? node.links.length : 0
+    }
+    return Number(node.data[labelsPriority]) || 0
   }
 
   /**
-   * Renderiza o grafo
+   * Agenda a renderização do grafo para o próximo quadro de animação (requestAnimationFrame).
+   * Várias chamadas no mesmo quadro resultam em uma única renderização.
    */
   render () {
+    if (this.state.destroyed) {
+      return
+    }
+    this.stats.requests++
+    if (this.state.frameRequest === null) {
+      this.state.frameRequest = window.requestAnimationFrame(() => {
+        this.state.frameRequest = null
+        this.draw()
+      })
+    }
+  }
+
+  /**
+   * Renderiza o grafo imediatamente, registrando o tempo de renderização do quadro
+   * @param {Object} [options] Opções { stats }
+   * @param {Boolean} [options.stats] Registra o quadro nas estatísticas de renderização. As
+   * renderizações das exportações não são quadros exibidos. Padrão: true
+   */
+  draw ({ stats = true } = {}) {
+    if (this.state.destroyed) {
+      return
+    }
+    const start = performance.now()
+    // A renderização de seleção deve ser refeita na próxima leitura
+    this.state.pickingDirty = true
     // Limpando o stage (transparente)
     this.app.regl.clear({
       color: [0, 0, 0, 0]
     })
+    // Propriedades comuns a todos os comandos
+    const props = this.getRenderProps()
     // Configurações
     const showEdgesOnMove = this.getOption('showEdgesOnMove')
     const showEdgesOption = this.getOption('showEdges')
-    const defaultEdgesColor = this.getOption('defaultEdgesColor')
-    const defaultEdgesOpacity = this.getOption('defaultEdgesOpacity')
     // Indetificando alguma restrição na exibição de arestas (configuração e ação de arastar grafo)
     const noEdgesRestrictions = showEdgesOnMove ? true : !this.state.mouseDown
     const showEdges = showEdgesOption || this.state.hoveredNode !== -1 || this.state.selectedNode !== -1
     // Plotagem das arestas
     if (showEdges && noEdgesRestrictions) {
+      const directed = this.getOption('directed')
+      const arrowSize = this.getOption('arrowSize')
+      const curvature = this.getOption('curvedEdges') ? this.getOption('edgesCurvature') : 0
+      if (this.state.egoDirty) {
+        this.loadEgoBuffers()
+      }
       this.buffers.edges.forEach((value, key) => {
-        drawEdges(this.app.regl)({
+        const edgesProps = {
+          ...props,
           points: value,
+          colors: this.buffers.edgesColors.get(key),
+          sizes: this.buffers.edgesSizes.get(key),
+          visibility: this.buffers.edgesVisibility.get(key),
+          ego: this.buffers.edgesEgo.get(key),
           width: Number(key),
-          color: this.glslColor(defaultEdgesColor, defaultEdgesOpacity),
-          stageWidth: this.app.width,
-          stageHeight: this.app.height,
-          transform: this.state.transform,
-          projection: this.state.projection,
-          zoom: this.state.transform[0],
           segments: this.matrices.edgesPositionsByWeight.get(key).length / 2,
           hovered: this.getHoveredNode(),
-          selected: this.getSelectedNode()
-        })
+          selected: this.getSelectedNode(),
+          dimmed: this.state.path !== null,
+          directed,
+          arrowSize,
+          curvature
+        }
+        this.commands.drawEdges(edgesProps)
+        // Setas das arestas direcionadas
+        if (directed) {
+          this.commands.drawArrows(edgesProps)
+        }
       })
     }
+    // Plotagem das arestas do caminho destacado (sempre exibidas)
+    if (this.state.path) {
+      this.drawPathEdges(props)
+    }
     // Plotagem dos nós (pontos)
-    drawPoints(this.app.regl)({
+    this.commands.drawPoints({
+      ...props,
       nodes: this.buffers.nodes,
       length: this.matrices.nodesPositions.length,
-      colors: this.matrices.nodeColors,
-      sizes: this.matrices.sizes,
+      colors: this.buffers.nodesColors,
+      sizes: this.buffers.nodesSizes,
+      visibility: this.buffers.nodesVisibility,
+      styles: this.buffers.nodesStyles,
+      borderColors: this.buffers.nodesBorderColors,
+      ...this.getImagesProps(),
+      hovered: this.getHoveredNode(),
+      selected: this.getSelectedNode(),
+      highlighted: this.state.highlightedNodes.length > 0 || this.state.selectedNodes.length > 0 || this.state.path !== null
+    })
+    // Plotando os grupos de nós em destaque (realçado, selecionado, destacados e seleção múltipla)
+    this.getNodesOverlays().forEach(({ name, indexes }) => {
+      this.drawNodesOverlay(name, indexes, props)
+      // Círculo em volta do nó selecionado
+      if (name === 'selected' && this.getOption('drawSelectedCircle')) {
+        this.commands.drawCircle({
+          ...props,
+          position: this.matrices.nodesPositions[this.getSelectedNode()],
+          points: this.getOption('selectedCirclePoints'),
+          shape: this.getNodeShape(this.getSelectedNode()),
+          color: this.glslColor(this.getOption('selectedCircleColor'), 1.0),
+          size: this.matrices.sizes[this.getSelectedNode()]
+        })
+      }
+    })
+    // Plotando a área de seleção (retângulo ou laço) em desenho
+    if (this.state.selectionShape && this.state.selectionShape.points.length > 1) {
+      this.drawSelectionShape(props)
+    }
+    // Plotando os rótulos dos nós
+    if (this.getOption('showLabels')) {
+      this.labels.draw({
+        ...props,
+        positions: this.matrices.nodesPositions,
+        sizes: this.matrices.sizes,
+        visibility: this.matrices.nodesVisibility,
+        font: this.getOption('labelsFont'),
+        fontSize: this.getOption('labelsSize'),
+        color: this.glslColor(this.getOption('labelsColor'), 1.0),
+        padding: this.getOption('labelsPadding'),
+        minZoom: this.getOption('labelsMinZoom'),
+        minNodeSize: this.getOption('labelsMinNodeSize')
+      })
+    }
+    // Estatísticas de renderização
+    if (!stats) {
+      return
+    }
+    const frameTime = performance.now() - start
+    this.stats.frames++
+    this.stats.lastFrameTime = frameTime
+    this.stats.maxFrameTime = this.maxNumber(this.stats.maxFrameTime, frameTime)
+    // Média móvel exponencial do tempo de renderização
+    this.stats.averageFrameTime = this.stats.frames === 1
+      ? frameTime
+      : this.stats.averageFrameTime * 0.9 + frameTime * 0.1
+  }
+
+  /**
+   * Retorna as propriedades comuns aos comandos de renderização (palco, transformação e zoom)
+   * @returns {Object} Propriedades comuns da renderização
+   */
+  getRenderProps () {
+    return {
       stageWidth: this.app.width,
       stageHeight: this.app.height,
       transform: this.state.transform,
       projection: this.state.projection,
       zoom: this.state.transform[0],
-      hovered: this.getHoveredNode(),
-      selected: this.getSelectedNode(),
-      highlighted: this.state.highlightedNodes.length > 0
-    })
-    // Plotando o nó destacado e seus vizinhos, caso haja
+      pixelRatio: this.app.pixelRatio
+    }
+  }
+
+  /**
+   * Retorna os grupos de nós em destaque, na ordem de plotagem
+   * @returns {Object[]} Grupos { name, indexes }
+   */
+  getNodesOverlays () {
+    const overlays = []
+    // Nó realçado e seus vizinhos
     if (this.state.hoveredNode !== -1) {
-      const neighbors = this.getHoverNeighbors()
-      const hPositions = [
-        this.matrices.nodesPositions[this.getHoveredNode()],
-        ...neighbors.map(i => this.matrices.nodesPositions[i])
-      ]
-      const hColors = [
-        // this.matrices.nodeColors[this.getHoveredNode()],
-        // ...neighbors.map(i => this.matrices.nodeColors[i])
-        [...this.matrices.nodeColors[this.getHoveredNode()].slice(0, 3), 1.0],
-        ...neighbors.map(i => [...this.matrices.nodeColors[i].slice(0, 3), 1.0])
-      ]
-      const hSizes = [
-        this.matrices.sizes[this.getHoveredNode()] * 1.1,
-        ...neighbors.map(i => this.matrices.sizes[i])
-      ]
-      drawPoints(this.app.regl)({
-        nodes: this.app.regl.buffer(hPositions),
-        length: hPositions.length,
-        colors: hColors,
-        sizes: hSizes,
-        stageWidth: this.app.width,
-        stageHeight: this.app.height,
-        transform: this.state.transform,
-        projection: this.state.projection,
-        zoom: this.state.transform[0],
-        hovered: -1,
-        highlighted: false
-      })
+      overlays.push({ name: 'hovered', indexes: [this.getHoveredNode(), ...this.getHoverNeighbors()] })
     }
-    // Plotando o nó selecionado e seus vizinhos, caso haja
+    // Nó selecionado e seus vizinhos
     if (this.state.selectedNode !== -1) {
-      const neighbors = this.getSelectedNeighbors()
-      const drawSelectedCircle = this.getOption('drawSelectedCircle')
-      const selectedCirclePoints = this.getOption('selectedCirclePoints')
-      const selectedCircleColor = this.getOption('selectedCircleColor')
-      const hPositions = [
-        this.matrices.nodesPositions[this.getSelectedNode()],
-        ...neighbors.map(i => this.matrices.nodesPositions[i])
-      ]
-      const hColors = [
-        // this.matrices.nodeColors[this.getSelectedNode()],
-        // ...neighbors.map(i => this.matrices.nodeColors[i])
-        [...this.matrices.nodeColors[this.getSelectedNode()].slice(0, 3), 1.0],
-        ...neighbors.map(i => [...this.matrices.nodeColors[i].slice(0, 3), 1.0])
-      ]
-      const hSizes = [
-        this.matrices.sizes[this.getSelectedNode()] * 1.1,
-        ...neighbors.map(i => this.matrices.sizes[i])
-      ]
-      drawPoints(this.app.regl)({
-        nodes: this.app.regl.buffer(hPositions),
-        length: hPositions.length,
-        colors: hColors,
-        sizes: hSizes,
-        stageWidth: this.app.width,
-        stageHeight: this.app.height,
-        transform: this.state.transform,
-        projection: this.state.projection,
-        zoom: this.state.transform[0],
-        hovered: -1,
-        highlighted: false
+      overlays.push({ name: 'selected', indexes: [this.getSelectedNode(), ...this.getSelectedNeighbors()] })
+    }
+    // Nós em destaque (highlight)
+    if (this.state.highlightedNodes.length > 0) {
+      overlays.push({ name: 'highlighted', indexes: this.getHighlightedNodes() })
+    }
+    // Nós da seleção múltipla
+    if (this.state.selectedNodes.length > 0) {
+      overlays.push({ name: 'selection', indexes: this.state.selectedNodes })
+    }
+    // Nós do caminho destacado
+    if (this.state.path) {
+      overlays.push({ name: 'path', indexes: this.state.path.nodes.map(id => this.app.graph.getNode(id).data.index) })
+    }
+    // Nós ocultos pelo filtro não são destacados
+    return overlays
+      .map(({ name, indexes }) => ({ name, indexes: indexes.filter(i => this.isNodeVisible(i)) }))
+      .filter(({ indexes }) => indexes.length > 0)
+  }
+
+  /**
+   * Retorna as cores e os tamanhos dos nós de um grupo em destaque. Os nós destacados
+   * mantêm a cor original; os demais são plotados opacos.
+   * @param {String} name Nome do grupo: hovered | selected | highlighted | selection | path
+   * @param {Number[]} indexes Índices dos nós
+   * @returns {Object} { colors, sizes }
+   */
+  getOverlayStyle (name, indexes) {
+    const highlighted = name === 'highlighted'
+    const grouped = highlighted || name === 'selection' || name === 'path'
+    // Nas redes ego a opacidade dos vizinhos diminui com a distância ao nó central
+    const distances = name === 'hovered' ? this.state.hoverDistances : name === 'selected' ? this.state.selectedDistances : null
+    const alpha = i => distances ? this.getNeighborsAlpha(distances.get(this.app.nodeIndex.get(i)) ?? 0) : 1.0
+    return {
+      colors: indexes.map(i => highlighted ? this.matrices.nodeColors[i] : [...this.matrices.nodeColors[i].slice(0, 3), alpha(i)]),
+      sizes: indexes.map((i, n) => this.matrices.sizes[i] * (grouped || n === 0 ? 1.1 : 1))
+    }
+  }
+
+  /**
+   * Plota um grupo de nós em destaque (opacos e acima dos demais) a partir de buffers reutilizáveis.
+   * O primeiro nó dos grupos 'hovered' e 'selected' é o nó principal e é plotado um pouco maior.
+   * @param {String} name Nome do grupo: hovered | selected | highlighted | selection | path
+   * @param {Number[]} indexes Índices dos nós
+   * @param {Object} props Propriedades comuns da renderização
+   */
+  drawNodesOverlay (name, indexes, props) {
+    if (!this.buffers.overlays[name]) {
+      this.buffers.overlays[name] = {
+        positions: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        colors: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        sizes: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        visibility: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        styles: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        borderColors: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 })
+      }
+    }
+    const buffers = this.buffers.overlays[name]
+    const { colors, sizes } = this.getOverlayStyle(name, indexes)
+    buffers.positions(indexes.map(i => this.matrices.nodesPositions[i]))
+    buffers.colors(colors)
+    buffers.sizes(sizes)
+    // Os grupos contêm apenas nós visíveis (ver getNodesOverlays)
+    buffers.visibility(indexes.map(() => 1))
+    buffers.styles(indexes.map(i => this.matrices.nodesStyles[i]))
+    buffers.borderColors(indexes.map(i => this.matrices.nodesBorderColors[i]))
+    this.commands.drawPoints({
+      ...props,
+      nodes: buffers.positions,
+      length: indexes.length,
+      colors: buffers.colors,
+      sizes: buffers.sizes,
+      visibility: buffers.visibility,
+      styles: buffers.styles,
+      borderColors: buffers.borderColors,
+      ...this.getImagesProps(),
+      hovered: -1,
+      highlighted: false
+    })
+  }
+
+  /**
+   * Plota as arestas do caminho destacado na cor 'pathColor', com o dobro da espessura da
+   * aresta mais espessa do caminho, a partir de buffers reutilizáveis
+   * @param {Object} props Propriedades comuns da renderização
+   */
+  drawPathEdges (props) {
+    const links = this.state.path.links.filter(link => this.isEdgeVisible(link))
+    if (!links.length) {
+      return
+    }
+    if (!this.buffers.path) {
+      this.buffers.path = {
+        points: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        colors: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        sizes: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        visibility: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+        ego: this.app.regl.buffer({ usage: 'dynamic', type: 'float', length: 0 })
+      }
+    }
+    const buffers = this.buffers.path
+    const color = this.glslColor(this.getOption('pathColor'), 1.0)
+    const ends = links.map(link => [this.app.graph.getNode(link.fromId).data, this.app.graph.getNode(link.toId).data])
+    buffers.points(ends.flatMap(([source, target]) => [source.position, target.position]))
+    buffers.colors(links.flatMap(() => [color, color]))
+    buffers.sizes(ends.map(([source, target]) => [this.matrices.sizes[source.index], this.matrices.sizes[target.index]]))
+    buffers.visibility(links.map(() => 1))
+    buffers.ego(links.map(() => [0, 0]))
+    const edgesProps = {
+      ...props,
+      points: buffers.points,
+      colors: buffers.colors,
+      sizes: buffers.sizes,
+      visibility: buffers.visibility,
+      ego: buffers.ego,
+      width: 2 * Math.max(...links.map(link => this.getEdgeWeight(link))),
+      segments: links.length,
+      hovered: -1,
+      selected: -1,
+      directed: this.getOption('directed'),
+      arrowSize: this.getOption('arrowSize'),
+      curvature: this.getOption('curvedEdges') ? this.getOption('edgesCurvature') : 0
+    }
+    this.commands.drawEdges(edgesProps)
+    if (edgesProps.directed) {
+      this.commands.drawArrows(edgesProps)
+    }
+  }
+
+  /**
+   * Plota o contorno da área de seleção em desenho (retângulo ou laço)
+   * @param {Object} props Propriedades comuns da renderização
+   */
+  drawSelectionShape (props) {
+    const points = this.state.selectionShape.points.map(p => this.getCanvasGraphPos(p))
+    if (this.buffers.selectionShape) {
+      this.buffers.selectionShape(points)
+    } else {
+      this.buffers.selectionShape = this.app.regl.buffer({ usage: 'dynamic', type: 'float', data: points })
+    }
+    this.commands.drawPolygon({
+      ...props,
+      points: this.buffers.selectionShape,
+      count: points.length,
+      color: this.glslColor(this.getOption('selectedCircleColor'), 1.0)
+    })
+  }
+
+  /**
+   * Retorna as estatísticas de renderização: quadros renderizados (frames), pedidos de
+   * renderização (requests) e tempos de renderização em milissegundos (último, média e máximo)
+   * @returns {Object} { frames, requests, lastFrameTime, averageFrameTime, maxFrameTime }
+   */
+  getStats () {
+    return { ...this.stats }
+  }
+
+  /**
+   * Exporta os dados do grafo no formato aceito pelo construtor, com as posições (x e y) atuais
+   * (após layout e arraste), os tamanhos, cores e pesos dos dados (omitidos quando não foram
+   * informados) e os atributos
+   * @param {Object} [options] Opções { state }
+   * @param {Boolean} [options.state] Inclui o estado: nó selecionado, seleção múltipla,
+   * nós destacados e visualização. Padrão: false
+   * @returns {Object} Dados da rede { nodes, edges, directed, state }
+   */
+  toJSON ({ state = false } = {}) {
+    const attributesOf = (data, reserved) => {
+      const attributes = {}
+      Object.keys(data).forEach((key) => {
+        if (!reserved.includes(key)) {
+          attributes[key] = data[key]
+        }
       })
-      if (drawSelectedCircle) {
-        drawCircle(this.app.regl)({
-          position: this.matrices.nodesPositions[this.getSelectedNode()],
-          points: selectedCirclePoints,
-          color: this.glslColor(selectedCircleColor, 1.0),
-          size: this.matrices.sizes[this.getSelectedNode()],
-          transform: this.state.transform,
-          projection: this.state.projection,
-          zoom: this.state.transform[0]
-        })
+      return attributes
+    }
+    const nodes = []
+    this.app.nodeIndex.forEach((id, index) => {
+      const { data } = this.app.graph.getNode(id)
+      nodes.push({
+        id,
+        label: data.label,
+        x: data.x,
+        y: data.y,
+        // Valores dos dados (e não os renderizados), para que setData(toJSON()) reproduza o grafo
+        ...(typeof data.rawSize !== 'undefined' ? { size: data.rawSize } : {}),
+        ...(typeof data.color !== 'undefined' ? { color: data.color } : {}),
+        ...['shape', 'image', 'borderColor', 'borderWidth'].reduce((style, key) => {
+          return typeof data[key] !== 'undefined' ? { ...style, [key]: data[key] } : style
+        }, {}),
+        attributes: attributesOf(data, NODE_DATA_KEYS)
+      })
+    })
+    const edges = []
+    this.app.graph.forEachLink((link) => {
+      edges.push({
+        sourceID: link.fromId,
+        targetID: link.toId,
+        ...(typeof link.data.rawWeight !== 'undefined' ? { weight: link.data.rawWeight } : {}),
+        ...(typeof link.data.color !== 'undefined' ? { color: link.data.color } : {}),
+        ...(typeof link.data.opacity !== 'undefined' ? { opacity: link.data.opacity } : {}),
+        attributes: attributesOf(link.data, EDGE_DATA_KEYS)
+      })
+    })
+    const json = { nodes, edges, directed: this.getOption('directed') }
+    if (state) {
+      const ids = this.getStateIds()
+      json.state = {
+        selected: typeof ids.selected !== 'undefined' ? ids.selected : null,
+        selection: ids.selection,
+        highlighted: ids.highlighted,
+        view: this.getView()
       }
     }
-    // Plotando dos nós em destaque highlightedNodes
-    if (this.state.highlightedNodes.length > 0) {
-      const nodes = this.getHighlightedNodes()
-      const hPositions = nodes.map(i => this.matrices.nodesPositions[i])
-      const hColors = nodes.map(i => this.matrices.nodeColors[i])
-      const hSizes = nodes.map(i => this.matrices.sizes[i] * 1.1)
-      drawPoints(this.app.regl)({
-        nodes: this.app.regl.buffer(hPositions),
-        length: hPositions.length,
-        colors: hColors,
-        sizes: hSizes,
-        stageWidth: this.app.width,
-        stageHeight: this.app.height,
-        transform: this.state.transform,
-        projection: this.state.projection,
-        zoom: this.state.transform[0],
-        hovered: -1,
-        highlighted: false
+    return json
+  }
+
+  /**
+   * Exporta os dados do grafo no formato GEXF (Gephi), com as posições, cores e tamanhos
+   * atuais (viz:position, viz:color e viz:size) e os atributos
+   * @param {Object} [options] Opções { state }
+   * @param {Boolean} [options.state] Inclui os atributos booleanos 'selected' (nó selecionado
+   * e seleção múltipla) e 'highlighted' (nós destacados) nos nós. Padrão: false
+   * @returns {String} Conteúdo GEXF
+   */
+  toGEXF ({ state = false } = {}) {
+    const data = this.toJSON({ state })
+    // O GEXF registra a aparência atual: tamanhos, cores e pesos renderizados
+    data.nodes.forEach((node) => {
+      const { index } = this.app.graph.getNode(node.id).data
+      node.size = this.matrices.sizes[index]
+      node.color = hexColor(this.matrices.nodeColors[index])
+    })
+    let i = 0
+    this.app.graph.forEachLink((link) => {
+      const edge = data.edges[i++]
+      edge.weight = link.data.weight
+      if (link.data.color) {
+        edge.color = hexColor(this.glslColor(link.data.color))
+      } else {
+        delete edge.color
+      }
+    })
+    if (state) {
+      const selected = new Set([data.state.selected, ...data.state.selection])
+      const highlighted = new Set(data.state.highlighted)
+      data.nodes.forEach((node) => {
+        node.attributes = { ...node.attributes, selected: selected.has(node.id), highlighted: highlighted.has(node.id) }
+      })
+    }
+    return writeGEXF(data)
+  }
+
+  /**
+   * Exporta a visualização atual como imagem PNG. A cena é renderizada em um framebuffer
+   * auxiliar, na resolução do canvas multiplicada pela escala (limitada pelo WebGL).
+   * @param {Object} [options] Opções { scale, background }
+   * @param {Number} [options.scale] Escala em relação ao tamanho do canvas (px CSS). Padrão: 1
+   * @param {String} [options.background] Cor de fundo (formato CSS). Padrão: transparente
+   * @returns {String|null} Imagem PNG no formato data URL (null após destroy)
+   */
+  exportPNG ({ scale = 1, background = null } = {}) {
+    if (this.state.destroyed) {
+      return null
+    }
+    // Qualquer cor CSS (inclusive nomes e 'transparent') é aceita como fundo
+    const fill = background ? d3Color(background) : null
+    if (background && !fill) {
+      throw new Error(`Cor de fundo inválida: ${background}`)
+    }
+    const regl = this.app.regl
+    // Limitando a resolução ao tamanho máximo suportado
+    const maxSize = this.minNumber(regl.limits.maxRenderbufferSize, regl.limits.maxTextureSize)
+    const pixelRatio = this.minNumber(scale, maxSize / this.maxNumber(this.app.width, this.app.height))
+    if (pixelRatio < scale) {
+      this.getOption('log') && console.warn('Escala da exportação reduzida para', pixelRatio)
+    }
+    const width = Math.round(this.app.width * pixelRatio)
+    const height = Math.round(this.app.height * pixelRatio)
+    const framebuffer = regl.framebuffer({ width, height, depth: false })
+    // Renderizando a cena no framebuffer com a densidade de pixels da exportação
+    const currentPixelRatio = this.app.pixelRatio
+    this.app.pixelRatio = pixelRatio
+    let pixels
+    try {
+      regl({ framebuffer })(() => {
+        this.draw({ stats: false })
+        pixels = regl.read()
+      })
+    } finally {
+      this.app.pixelRatio = currentPixelRatio
+      framebuffer.destroy()
+      this.render()
+    }
+    // Compondo a imagem: as linhas do WebGL começam por baixo e as cores já estão
+    // multiplicadas pela opacidade (como o canvas é exibido na página)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    const image = ctx.createImageData(width, height)
+    // 'transparent' não tem componentes RGB (NaN)
+    const fillAlpha = fill ? fill.opacity : 0
+    const { r, g, b } = fillAlpha > 0 ? fill.rgb() : { r: 0, g: 0, b: 0 }
+    const fillColor = [r, g, b]
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const source = ((height - 1 - y) * width + x) * 4
+        const target = (y * width + x) * 4
+        const alpha = pixels[source + 3] / 255
+        // Composição da cena sobre o fundo (operador 'over')
+        const backdrop = fillAlpha * (1 - alpha)
+        const outAlpha = alpha + backdrop
+        for (let c = 0; c < 3; c++) {
+          image.data[target + c] = outAlpha > 0 ? (pixels[source + c] + fillColor[c] * backdrop) / outAlpha : 0
+        }
+        image.data[target + 3] = outAlpha * 255
+      }
+    }
+    ctx.putImageData(image, 0, 0)
+    return canvas.toDataURL('image/png')
+  }
+
+  /**
+   * Exporta a visualização atual como imagem vetorial SVG: arestas (com espessuras, curvas
+   * e setas), nós, grupos em destaque, círculo de seleção e rótulos, com a mesma
+   * transformação (zoom e posição) da tela. Elementos fora da tela são descartados.
+   * @param {Object} [options] Opções { background }
+   * @param {String} [options.background] Cor de fundo (formato CSS). Padrão: transparente
+   * @returns {String|null} Conteúdo SVG (null após destroy)
+   */
+  exportSVG ({ background = null } = {}) {
+    if (this.state.destroyed) {
+      return null
+    }
+    const { width, height } = this.app
+    const [k, , , , , , tx, ty] = this.state.transform
+    const zoom = Math.sqrt(k)
+    const screen = ([x, y]) => [k * x + tx, k * y + ty]
+    const visible = (x0, y0, x1, y1) => x1 >= 0 && y1 >= 0 && x0 <= width && y0 <= height
+    const opacity = alpha => alpha < 1 ? ` fill-opacity="${round(alpha)}"` : ''
+    const defs = []
+    const elements = []
+    // Arestas
+    const hovered = this.getHoveredNode()
+    const selected = this.getSelectedNode()
+    const directed = this.getOption('directed')
+    const arrowSize = this.getOption('arrowSize')
+    const curvature = this.getOption('curvedEdges') ? this.getOption('edgesCurvature') : 0
+    const edge = (link, [colorA, colorB], alpha, weight) => {
+      const source = this.app.graph.getNode(link.fromId).data
+      const target = this.app.graph.getNode(link.toId).data
+      // Geometria no espaço do grafo (mesmos cálculos dos shaders das arestas)
+      const a = source.position
+      const b = target.position
+      const d = [b[0] - a[0], b[1] - a[1]]
+      const length = Math.sqrt(d[0] ** 2 + d[1] ** 2) || 1
+      const control = [(a[0] + b[0]) / 2 - d[1] * curvature, (a[1] + b[1]) / 2 + d[0] * curvature]
+      const point = t => [0, 1].map(c => (1 - t) ** 2 * a[c] + 2 * (1 - t) * t * control[c] + t ** 2 * b[c])
+      // Mesmo tamanho renderizado dos nós (buffer de tamanhos das arestas, inclusive com sizeBy)
+      const radius = this.matrices.sizes[target.index] * zoom * 0.5 / k
+      const arrowLength = weight * arrowSize
+      const end = directed ? this.maxNumber(0, 1 - (radius + arrowLength) / length) : 1
+      // Curva truncada no parâmetro 'end' (de Casteljau)
+      const p0 = screen(a)
+      const p1 = screen([0, 1].map(c => a[c] + (control[c] - a[c]) * end))
+      const p2 = screen(point(end))
+      const xs = [p0[0], p1[0], p2[0]]
+      const ys = [p0[1], p1[1], p2[1]]
+      if (!visible(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys))) {
+        return
+      }
+      let stroke = cssColor(colorA)
+      if (colorA.slice(0, 3).some((c, i) => c !== colorB[i])) {
+        const id = `edge-gradient-${link.data.index}`
+        const [q0, q1] = [screen(a), screen(b)]
+        defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${round(q0[0])}" y1="${round(q0[1])}" x2="${round(q1[0])}" y2="${round(q1[1])}"><stop offset="0" stop-color="${cssColor(colorA)}"/><stop offset="1" stop-color="${cssColor(colorB)}"/></linearGradient>`)
+        stroke = `url(#${id})`
+      }
+      const path = curvature
+        ? `M${round(p0[0])} ${round(p0[1])}Q${round(p1[0])} ${round(p1[1])} ${round(p2[0])} ${round(p2[1])}`
+        : `M${round(p0[0])} ${round(p0[1])}L${round(p2[0])} ${round(p2[1])}`
+      elements.push(`<path d="${path}" fill="none" stroke="${stroke}" stroke-width="${round(weight * k)}"${alpha < 1 ? ` stroke-opacity="${round(alpha)}"` : ''}/>`)
+      // Seta: a ponta fica na borda do nó de destino
+      if (directed) {
+        const tip = point(this.maxNumber(0, 1 - radius / length))
+        const base = point(end)
+        const norm = Math.sqrt((tip[0] - base[0]) ** 2 + (tip[1] - base[1]) ** 2) || 1
+        const x = [(tip[0] - base[0]) / norm, (tip[1] - base[1]) / norm]
+        const y = [-x[1], x[0]]
+        const vertices = [
+          tip,
+          [tip[0] - x[0] * arrowLength + y[0] * arrowLength * 0.5, tip[1] - x[1] * arrowLength + y[1] * arrowLength * 0.5],
+          [tip[0] - x[0] * arrowLength - y[0] * arrowLength * 0.5, tip[1] - x[1] * arrowLength - y[1] * arrowLength * 0.5]
+        ].map(v => screen(v).map(round).join(','))
+        elements.push(`<polygon points="${vertices.join(' ')}" fill="${cssColor(colorB)}"${opacity(alpha)}/>`)
+      }
+    }
+    if (this.getOption('showEdges') || hovered !== -1 || selected !== -1) {
+      this.app.graph.forEachLink((link) => {
+        const colors = this.getEdgeColors(link)
+        const alpha = this.edgeAlpha(colors[0][3], link)
+        if (alpha > 0 && this.isEdgeVisible(link)) {
+          edge(link, colors, alpha, this.getEdgeWeight(link))
+        }
+      })
+    }
+    // Arestas do caminho destacado
+    if (this.state.path) {
+      const links = this.state.path.links.filter(link => this.isEdgeVisible(link))
+      const color = this.glslColor(this.getOption('pathColor'), 1.0)
+      const width = 2 * Math.max(...links.map(link => this.getEdgeWeight(link)))
+      links.forEach(link => edge(link, [color, color], 1, width))
+    }
+    // Nós (mesmas regras de opacidade, formatos, imagens e bordas do shader dos pontos)
+    const strokeOpacity = alpha => alpha < 1 ? ` stroke-opacity="${round(alpha)}"` : ''
+    const outline = (index, [x, y], r) => {
+      const shape = this.getNodeShape(index)
+      if (shape === 'circle' || shape === 'ring') {
+        return `<circle cx="${round(x)}" cy="${round(y)}" r="${round(r)}"`
+      }
+      const points = makeShapeOutline(shape).map(([px, py]) => `${round(x + px * r)},${round(y + py * r)}`)
+      return `<polygon points="${points.join(' ')}"`
+    }
+    const circle = (index, color, size) => {
+      const center = screen(this.matrices.nodesPositions[index])
+      const [x, y] = center
+      const r = size * zoom / 2
+      if (!visible(x - r, y - r, x + r, y + r)) {
+        return
+      }
+      const [, borderWidth, image] = this.matrices.nodesStyles[index]
+      const ring = this.getNodeShape(index) === 'ring'
+      if (ring) {
+        // Anel: o interior (60% do raio) é vazado
+        elements.push(`${outline(index, center, r * 0.8)} fill="none" stroke="${cssColor(color)}" stroke-width="${round(r * 0.4)}"${strokeOpacity(color[3])}/>`)
+      } else {
+        elements.push(`${outline(index, center, r)} fill="${cssColor(color)}"${opacity(color[3])}/>`)
+      }
+      if (image !== -1 && !ring) {
+        const id = `node-clip-${defs.length}`
+        const href = escapeXML(this.getNodeByIndex(index).data.image)
+        defs.push(`<clipPath id="${id}">${outline(index, center, r)}/></clipPath>`)
+        elements.push(`<image href="${href}" x="${round(x - r)}" y="${round(y - r)}" width="${round(r * 2)}" height="${round(r * 2)}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${id})"${color[3] < 1 ? ` opacity="${round(color[3])}"` : ''}/>`)
+      }
+      // Borda interna (largura acompanha o tamanho do nó)
+      const border = this.minNumber(borderWidth * zoom, r)
+      if (border > 0) {
+        const borderColor = this.matrices.nodesBorderColors[index]
+        elements.push(`${outline(index, center, r - border / 2)} fill="none" stroke="${cssColor(borderColor)}" stroke-width="${round(border)}"${strokeOpacity(this.minNumber(borderColor[3], color[3]))}/>`)
+      }
+    }
+    const dimmed = this.state.highlightedNodes.length > 0 || this.state.selectedNodes.length > 0 || this.state.path !== null
+    this.matrices.nodesPositions.forEach((position, i) => {
+      if (!this.isNodeVisible(i)) {
+        return
+      }
+      const color = this.matrices.nodeColors[i]
+      const faded = dimmed || (hovered !== -1 && i !== hovered)
+      circle(i, [...color.slice(0, 3), faded ? 0.2 : color[3]], this.matrices.sizes[i])
+    })
+    // Grupos em destaque e círculo de seleção
+    this.getNodesOverlays().forEach(({ name, indexes }) => {
+      const { colors, sizes } = this.getOverlayStyle(name, indexes)
+      indexes.forEach((index, n) => circle(index, colors[n], sizes[n]))
+      if (name === 'selected' && this.getOption('drawSelectedCircle')) {
+        const r = this.matrices.sizes[selected] * zoom * 0.75
+        const color = this.glslColor(this.getOption('selectedCircleColor'), 1.0)
+        elements.push(`${outline(selected, screen(this.matrices.nodesPositions[selected]), r)} fill="none" stroke="${cssColor(color)}" stroke-width="1"/>`)
+      }
+    })
+    // Rótulos (os mesmos exibidos na tela)
+    if (this.getOption('showLabels')) {
+      // Atualizando a seleção dos rótulos com a visualização atual
+      this.draw({ stats: false })
+      const font = escapeXML(this.getOption('labelsFont'))
+      const color = this.glslColor(this.getOption('labelsColor'), 1.0)
+      this.labels.getVisible().forEach(({ text, x, y, fontSize }) => {
+        elements.push(`<text x="${round(x)}" y="${round(y)}" font-family="${font}" font-size="${round(fontSize)}" fill="${cssColor(color)}" dominant-baseline="central">${escapeXML(text)}</text>`)
       })
     }
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      defs.length ? `<defs>${defs.join('')}</defs>` : '',
+      background ? `<rect width="100%" height="100%" fill="${escapeXML(background)}"/>` : '',
+      ...elements,
+      '</svg>'
+    ].filter(line => line !== '').join('\n')
+  }
+
+  /**
+   * Opacidade de uma aresta de acordo com as redes ego dos nós realçado e selecionado
+   * (como no shader das arestas)
+   * @param {Number} alpha Opacidade da aresta
+   * @param {Object} link Objeto ngraph da aresta
+   * @returns {Number} Opacidade
+   */
+  edgeAlpha (alpha, link) {
+    const hovered = this.getHoveredNode()
+    const selected = this.getSelectedNode()
+    const [hoveredAlpha, selectedAlpha] = this.getEdgeEgoAlphas(link)
+    if (this.state.path) alpha *= 0.2
+    if (selected !== -1 && selectedAlpha === 0) alpha = 0
+    if (hovered !== -1 && hoveredAlpha === 0) alpha = 0
+    if (hoveredAlpha > 0) alpha = hoveredAlpha
+    if (hovered === -1 && selectedAlpha > 0) alpha = selectedAlpha
+    return alpha
+  }
+
+  /**
+   * Destrói a instância: remove os tratamentos de eventos, o contexto regl (e seus buffers),
+   * a tooltip, o layout de forças, os monitores de tamanho e o canvas. A instância
+   * deixa de responder após a destruição.
+   */
+  destroy () {
+    if (this.state.destroyed) {
+      return
+    }
+    // Disponibilizando o evento na biblioteca antes da remoção dos recursos
+    this.raiseEvent('destroy', this)
+    this.state.destroyed = true
+    // Layout de forças (sem disparar o evento layoutend)
+    if (this.layout) {
+      this.layout.destroy()
+      this.layout = null
+    }
+    // Monitores de tamanho e densidade de pixels
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+    if (this.pixelRatioQuery) {
+      this.pixelRatioQuery.removeEventListener('change', this.pixelRatioListener)
+      this.pixelRatioQuery = null
+      this.pixelRatioListener = null
+    }
+    // Renderização agendada
+    if (this.state.frameRequest !== null) {
+      window.cancelAnimationFrame(this.state.frameRequest)
+      this.state.frameRequest = null
+    }
+    // Tratamentos de eventos, transições e zoom do canvas
+    select(this.app.canvas)
+      .interrupt()
+      .on('.zoom', null)
+      .on('pointerdown', null)
+      .on('pointermove', null)
+      .on('pointerup', null)
+      .on('pointercancel', null)
+      .on('click', null)
+      .on('keydown', null)
+      .on('blur', null)
+      .on('.tap', null)
+    if (this.state.touch) {
+      clearTimeout(this.state.touch.timer)
+      this.state.touch = null
+    }
+    select(window).on(`.${this.app.canvasID}`, null)
+    this.app.zoom.on('zoom', null).on('end', null)
+    // Tooltip, anúncios, legenda e atlas de imagens
+    this.tooltip.destroy()
+    this.announcer.destroy()
+    this.images.destroy()
+    if (this.legend) {
+      this.legend.destroy()
+      this.legend = null
+    }
+    // Contexto regl: destrói todos os buffers, texturas e comandos
+    this.app.regl.destroy()
+    // Canvas
+    if (this.app.canvas.parentNode) {
+      this.app.canvas.parentNode.removeChild(this.app.canvas)
+    }
+    // Liberando as referências aos recursos destruídos
+    this.events = {}
+    this.watchers = {}
+    this.labels = null
+    this.commands = null
+    this.picking = null
+    this.buffers = {
+      nodes: null,
+      nodesColors: null,
+      nodesSizes: null,
+      nodesVisibility: null,
+      nodesStyles: null,
+      nodesBorderColors: null,
+      edges: new Map(),
+      edgesColors: new Map(),
+      edgesSizes: new Map(),
+      edgesVisibility: new Map(),
+      edgesEgo: new Map(),
+      overlays: {},
+      path: null,
+      selectionShape: null
+    }
+    this.app.regl = null
   }
 
   /**
@@ -996,8 +4382,33 @@ export default class ReglGraph {
    * @param {*} value Novo valor da configuração
    */
   setOption (option, value) {
+    if (this.state.destroyed) {
+      return
+    }
     if (_has(this.settings, option) && typeof value !== 'undefined') {
       this.settings[option] = value
+      // As cores das arestas ficam nos buffers e precisam ser recalculadas
+      if (['defaultEdgesColor', 'defaultEdgesOpacity', 'edgesColorMode'].includes(option)) {
+        this.loadEdgesMatrices()
+        this.loadBuffers('edges')
+      }
+      if (option === 'labelsPriority') {
+        this.loadLabels()
+      }
+      if (option === 'legend') {
+        this.loadLegend()
+      }
+      // As redes ego dos nós realçado e selecionado são recalculadas
+      if (['neighborsDepth', 'neighborsDirection', 'neighborsFading'].includes(option)) {
+        this.setHoverNeighbors(this.state.hoveredNode)
+        this.setSelectedNeighbors(this.state.selectedNode)
+      }
+      if (option === 'ariaLabel') {
+        this.app.canvas.setAttribute('aria-label', value)
+      }
+      if (['defaultNodesShape', 'defaultNodesBorderColor', 'defaultNodesBorderWidth'].includes(option)) {
+        this.loadNodesStyles()
+      }
       // Algumas configurações não serão aplicadas no render
       this.render()
     }
@@ -1048,6 +4459,25 @@ export default class ReglGraph {
     return Math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2)
   }
 
+  /**
+   * Verifica se um ponto está contido em um polígono (ray casting)
+   * @param {Number} x Coordenada X do ponto
+   * @param {Number} y Coordenada Y do ponto
+   * @param {Number[][]} polygon Vértices do polígono [[x, y], ...]
+   * @returns {Boolean} Verdadeiro se o ponto está contido no polígono
+   */
+  pointInPolygon (x, y, polygon) {
+    let inside = false
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, yi] = polygon[i]
+      const [xj, yj] = polygon[j]
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+    return inside
+  }
+
   /**
    * Compara dois números e retorna o maior (mais simples que Math.max())
    * @param {Number} a Primeiro número para comparação
@@ -0,0 +1,126 @@
+// Tamanho (px) de cada célula do atlas de imagens
+const CELL_SIZE = 128
+// Número máximo de colunas do atlas
+const MAX_COLUMNS = 16
+
+/**
+ * Cria o atlas de imagens dos nós (ícones e imagens). As imagens são carregadas de forma
+ * assíncrona a partir de URLs ou data URIs e desenhadas em uma grade de células quadradas
+ * (recortadas no centro, como 'object-fit: cover'). Imagens de outros domínios precisam
+ * permitir CORS para serem utilizadas como textura.
+ * @param {Function} onLoad Função executada quando uma imagem é carregada (url) => void
+ * @param {Function} [onError] Função executada quando uma imagem falha (url) => void
+ */
+export function createImageAtlas (onLoad, onError = null) {
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  // Índices das imagens por URL, imagens carregadas (por índice) e em carregamento
+  const indexes = new Map()
+  const images = new Map()
+  const loading = new Set()
+  let columns = 1
+  let rows = 1
+  let texture = null
+  let dirty = true
+  canvas.width = canvas.height = CELL_SIZE
+
+  /**
+   * Desenha uma imagem na sua célula
+   */
+  const drawImage = (image, index) => {
+    const side = Math.min(image.width, image.height)
+    const x = (index % columns) * CELL_SIZE
+    const y = Math.floor(index / columns) * CELL_SIZE
+    ctx.clearRect(x, y, CELL_SIZE, CELL_SIZE)
+    ctx.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, x, y, CELL_SIZE, CELL_SIZE)
+  }
+
+  /**
+   * Ajusta a grade ao número de imagens, redesenhando as já carregadas
+   */
+  const resize = () => {
+    const count = indexes.size
+    const nextColumns = Math.min(MAX_COLUMNS, Math.max(1, Math.ceil(Math.sqrt(count))))
+    const nextRows = Math.max(1, Math.ceil(count / nextColumns))
+    if (nextColumns === columns && nextRows === rows) {
+      return
+    }
+    columns = nextColumns
+    rows = nextRows
+    // O redimensionamento do canvas limpa o seu conteúdo
+    canvas.width = columns * CELL_SIZE
+    canvas.height = rows * CELL_SIZE
+    images.forEach(drawImage)
+    dirty = true
+  }
+
+  return {
+    /**
+     * Retorna o índice da imagem no atlas, iniciando o seu carregamento se necessário
+     * @param {String} url URL ou data URI da imagem
+     * @returns {Number} Índice da imagem ou -1 para nenhuma
+     */
+    getIndex: (url) => {
+      if (!url) {
+        return -1
+      }
+      if (indexes.has(url)) {
+        return indexes.get(url)
+      }
+      const index = indexes.size
+      indexes.set(url, index)
+      resize()
+      const image = new Image()
+      image.crossOrigin = 'anonymous'
+      loading.add(image)
+      image.onload = () => {
+        loading.delete(image)
+        if (!indexes.has(url)) {
+          return
+        }
+        images.set(index, image)
+        drawImage(image, index)
+        dirty = true
+        onLoad(url)
+      }
+      image.onerror = () => {
+        loading.delete(image)
+        onError && onError(url)
+      }
+      image.src = url
+      return index
+    },
+    /**
+     * Retorna a textura do atlas, atualizada com as imagens carregadas
+     * @param {Object} regl Instância da biblioteca regl
+     * @returns {Object} Textura regl
+     */
+    getTexture: (regl) => {
+      if (!texture) {
+        texture = regl.texture({ data: canvas, min: 'linear', mag: 'linear' })
+        dirty = false
+      } else if (dirty) {
+        texture({ data: canvas, min: 'linear', mag: 'linear' })
+        dirty = false
+      }
+      return texture
+    },
+    /**
+     * Número de colunas e linhas da grade do atlas
+     * @returns {Number[]} [colunas, linhas]
+     */
+    getGrid: () => {
+      return [columns, rows]
+    },
+    destroy: () => {
+      loading.forEach((image) => {
+        image.onload = image.onerror = null
+      })
+      loading.clear()
+      indexes.clear()
+      images.clear()
+      texture && texture.destroy()
+      texture = null
+    }
+  }
+}
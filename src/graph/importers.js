@@ -0,0 +1,660 @@
+import { color as d3Color } from 'd3' // https://github.com/d3/d3
+
+/**
+ * Conversores de formatos de grafos (GEXF, GraphML, DOT e Cytoscape/Sigma JSON) para o
+ * formato aceito pelo construtor: { nodes, edges, directed }. Os nós recebem os campos
+ * id, label, x, y, size, color e attributes; as arestas, sourceID, targetID, weight,
+ * color, opacity e attributes. Nós sem posição ficam sem x e y (layout de forças).
+ */
+
+// Nomes de atributos mapeados para os campos dos nós e das arestas (GraphML e DOT)
+const NODE_FIELDS = ['label', 'x', 'y', 'size', 'color']
+const EDGE_FIELDS = ['weight', 'color']
+
+/**
+ * Converte um valor para número, retornando undefined para valores inválidos
+ * @param {*} value Valor
+ * @returns {Number|undefined} Número ou undefined
+ */
+function toNumber (value) {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return undefined
+  }
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+/**
+ * Converte uma cor em qualquer formato CSS (inclusive nomes) para hexadecimal
+ * @param {String} value Cor
+ * @returns {String|undefined} Cor hexadecimal ou undefined para cores inválidas
+ */
+function toHexColor (value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return undefined
+  }
+  const color = d3Color(value.trim())
+  return color ? color.formatHex() : undefined
+}
+
+/**
+ * Converte um componente RGB (0 a 255) para hexadecimal com dois dígitos
+ * @param {Number} value Componente RGB
+ * @returns {String} Componente hexadecimal
+ */
+function hexComponent (value) {
+  const component = Math.max(0, Math.min(255, Math.round(value)))
+  return component.toString(16).padStart(2, '0')
+}
+
+/**
+ * Converte um valor textual de acordo com o tipo declarado do atributo
+ * @param {String} value Valor textual
+ * @param {String} type Tipo declarado (integer, long, float, double, boolean, string...)
+ * @returns {*} Valor convertido
+ */
+function castValue (value, type) {
+  switch ((type || '').toLowerCase()) {
+    case 'int':
+    case 'integer':
+    case 'long':
+    case 'float':
+    case 'double':
+    case 'bigdecimal':
+    case 'short':
+    case 'byte': {
+      const number = toNumber(value)
+      return typeof number === 'undefined' ? value : number
+    }
+    case 'boolean':
+      return String(value).toLowerCase() === 'true'
+    default:
+      return value
+  }
+}
+
+/**
+ * Remove os campos indefinidos de um objeto (resultado mais limpo para serialização)
+ * @param {Object} object Objeto
+ * @returns {Object} O próprio objeto, sem campos indefinidos
+ */
+function compact (object) {
+  Object.keys(object).forEach((key) => {
+    if (typeof object[key] === 'undefined') {
+      delete object[key]
+    }
+  })
+  return object
+}
+
+/**
+ * Retorna uma cópia do objeto sem as propriedades informadas
+ * @param {Object} object Objeto
+ * @param {String[]} keys Propriedades descartadas
+ * @returns {Object} Cópia do objeto
+ */
+function omit (object, keys) {
+  const copy = { ...object }
+  keys.forEach(key => delete copy[key])
+  return copy
+}
+
+/**
+ * Separa os campos conhecidos dos demais atributos (nós e arestas)
+ * @param {Object} values Valores lidos { nome: valor }
+ * @param {String[]} fields Campos conhecidos
+ * @returns {Object} { fields, attributes }
+ */
+function splitFields (values, fields) {
+  const known = {}
+  const attributes = {}
+  Object.keys(values).forEach((key) => {
+    if (fields.includes(key)) {
+      known[key] = values[key]
+    } else {
+      attributes[key] = values[key]
+    }
+  })
+  return { fields: known, attributes }
+}
+
+/**
+ * Interpreta um documento XML
+ * @param {String} xml Conteúdo XML
+ * @param {String} format Nome do formato (mensagens de erro)
+ * @returns {Document} Documento XML
+ */
+function parseXML (xml, format) {
+  if (typeof xml !== 'string') {
+    throw new Error(`Informe o conteúdo ${format} como texto`)
+  }
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  const error = doc.getElementsByTagName('parsererror')[0]
+  if (error) {
+    throw new Error(`Conteúdo ${format} inválido: ${error.textContent}`)
+  }
+  return doc
+}
+
+/**
+ * Retorna os elementos filhos com o nome informado (ignorando o namespace, ex.: viz:color)
+ * @param {Element} element Elemento pai
+ * @param {String} name Nome local dos elementos
+ * @returns {Element[]} Elementos filhos
+ */
+function children (element, name) {
+  return element ? Array.from(element.children).filter(child => child.localName === name) : []
+}
+
+/**
+ * Retorna o primeiro elemento filho com o nome informado
+ * @param {Element} element Elemento pai
+ * @param {String} name Nome local do elemento
+ * @returns {Element|null} Elemento filho ou null
+ */
+function child (element, name) {
+  return children(element, name)[0] || null
+}
+
+/**
+ * Lê a cor de um elemento viz:color do GEXF (r, g, b, a ou hex)
+ * @param {Element} element Elemento viz:color
+ * @returns {Object} { color, opacity }
+ */
+function gexfColor (element) {
+  if (!element) {
+    return {}
+  }
+  const hex = toHexColor(element.getAttribute('hex') || '')
+  const color = hex || (element.hasAttribute('r')
+    ? `#${['r', 'g', 'b'].map(c => hexComponent(toNumber(element.getAttribute(c)) || 0)).join('')}`
+    : undefined)
+  return { color, opacity: toNumber(element.getAttribute('a')) }
+}
+
+/**
+ * Converte um grafo no formato GEXF (Gephi), com as extensões de visualização (viz)
+ * @param {String} xml Conteúdo GEXF
+ * @returns {Object} Dados da rede { nodes, edges, directed }
+ */
+export function parseGEXF (xml) {
+  const doc = parseXML(xml, 'GEXF')
+  const graph = child(doc.documentElement, 'graph')
+  if (!graph) {
+    throw new Error('O conteúdo GEXF não contém o elemento "graph"')
+  }
+  // Declarações dos atributos (id => { title, type, default }) por classe (node | edge)
+  const declarations = { node: new Map(), edge: new Map() }
+  children(graph, 'attributes').forEach((attributes) => {
+    const target = declarations[attributes.getAttribute('class')]
+    if (!target) {
+      return
+    }
+    children(attributes, 'attribute').forEach((attribute) => {
+      const defaultElement = child(attribute, 'default')
+      target.set(attribute.getAttribute('id'), {
+        title: attribute.getAttribute('title') || attribute.getAttribute('id'),
+        type: attribute.getAttribute('type'),
+        default: defaultElement ? defaultElement.textContent : undefined
+      })
+    })
+  })
+  // Valores dos atributos de um nó ou aresta, com os valores padrão declarados
+  const readAttributes = (element, declared) => {
+    const attributes = {}
+    declared.forEach((attribute) => {
+      if (typeof attribute.default !== 'undefined') {
+        attributes[attribute.title] = castValue(attribute.default, attribute.type)
+      }
+    })
+    children(child(element, 'attvalues'), 'attvalue').forEach((attvalue) => {
+      const id = attvalue.getAttribute('for') || attvalue.getAttribute('id')
+      const attribute = declared.get(id) || { title: id, type: 'string' }
+      attributes[attribute.title] = castValue(attvalue.getAttribute('value'), attribute.type)
+    })
+    return attributes
+  }
+
+  const nodes = children(child(graph, 'nodes'), 'node').map((element) => {
+    const position = child(element, 'position')
+    const size = child(element, 'size')
+    const { color } = gexfColor(child(element, 'color'))
+    const attributes = readAttributes(element, declarations.node)
+    return compact({
+      id: element.getAttribute('id'),
+      label: element.getAttribute('label') ?? undefined,
+      x: position ? toNumber(position.getAttribute('x')) : undefined,
+      y: position ? toNumber(position.getAttribute('y')) : undefined,
+      size: size ? toNumber(size.getAttribute('value')) ?? 1 : 1,
+      color,
+      attributes
+    })
+  })
+
+  const edges = children(child(graph, 'edges'), 'edge').map((element) => {
+    const { color, opacity } = gexfColor(child(element, 'color'))
+    const thickness = child(element, 'thickness')
+    const attributes = readAttributes(element, declarations.edge)
+    const label = element.getAttribute('label')
+    return compact({
+      id: element.getAttribute('id') ?? undefined,
+      sourceID: element.getAttribute('source'),
+      targetID: element.getAttribute('target'),
+      weight: toNumber(element.getAttribute('weight')) ??
+        (thickness ? toNumber(thickness.getAttribute('value')) : undefined) ?? 1,
+      color,
+      opacity,
+      attributes: compact({ ...attributes, label: label ?? undefined })
+    })
+  })
+
+  return { nodes, edges, directed: graph.getAttribute('defaultedgetype') === 'directed' }
+}
+
+/**
+ * Converte um grafo no formato GraphML (ex.: NetworkX, yEd, Gephi). Os atributos declarados
+ * (key) com os nomes label, x, y, size e color (ou r, g e b) dos nós, e weight e color
+ * das arestas, são mapeados para os campos correspondentes.
+ * @param {String} xml Conteúdo GraphML
+ * @returns {Object} Dados da rede { nodes, edges, directed }
+ */
+export function parseGraphML (xml) {
+  const doc = parseXML(xml, 'GraphML')
+  const graph = child(doc.documentElement, 'graph')
+  if (!graph) {
+    throw new Error('O conteúdo GraphML não contém o elemento "graph"')
+  }
+  // Declarações dos atributos (id => { name, type, default, for })
+  const keys = new Map()
+  children(doc.documentElement, 'key').forEach((key) => {
+    const defaultElement = child(key, 'default')
+    keys.set(key.getAttribute('id'), {
+      name: key.getAttribute('attr.name') || key.getAttribute('id'),
+      type: key.getAttribute('attr.type'),
+      for: key.getAttribute('for') || 'all',
+      default: defaultElement ? defaultElement.textContent : undefined
+    })
+  })
+  const readValues = (element, target) => {
+    const values = {}
+    keys.forEach((key) => {
+      if ((key.for === target || key.for === 'all') && typeof key.default !== 'undefined') {
+        values[key.name] = castValue(key.default, key.type)
+      }
+    })
+    children(element, 'data').forEach((data) => {
+      const key = keys.get(data.getAttribute('key')) || { name: data.getAttribute('key'), type: 'string' }
+      values[key.name] = castValue(data.textContent, key.type)
+    })
+    return values
+  }
+
+  // Subgrafos (graph aninhado em node) são achatados
+  const nodes = Array.from(graph.getElementsByTagName('*'))
+    .filter(element => element.localName === 'node')
+    .map((element) => {
+      const values = readValues(element, 'node')
+      const { fields, attributes } = splitFields(values, [...NODE_FIELDS, 'r', 'g', 'b'])
+      const rgb = ['r', 'g', 'b'].every(c => typeof toNumber(fields[c]) !== 'undefined')
+        ? `#${['r', 'g', 'b'].map(c => hexComponent(toNumber(fields[c]))).join('')}`
+        : undefined
+      return compact({
+        id: element.getAttribute('id'),
+        label: typeof fields.label !== 'undefined' ? String(fields.label) : undefined,
+        x: toNumber(fields.x),
+        y: toNumber(fields.y),
+        size: toNumber(fields.size) ?? 1,
+        color: toHexColor(fields.color) || rgb,
+        attributes
+      })
+    })
+
+  const edgedefault = graph.getAttribute('edgedefault')
+  const edges = Array.from(graph.getElementsByTagName('*'))
+    .filter(element => element.localName === 'edge')
+    .map((element) => {
+      const values = readValues(element, 'edge')
+      const { fields, attributes } = splitFields(values, EDGE_FIELDS)
+      return compact({
+        id: element.getAttribute('id') ?? undefined,
+        sourceID: element.getAttribute('source'),
+        targetID: element.getAttribute('target'),
+        weight: toNumber(fields.weight) ?? 1,
+        color: toHexColor(fields.color),
+        attributes
+      })
+    })
+
+  return { nodes, edges, directed: edgedefault === 'directed' }
+}
+
+/**
+ * Separa o conteúdo DOT em símbolos (identificadores, textos, operadores)
+ * @param {String} dot Conteúdo DOT
+ * @returns {Object[]} Símbolos { type: id | op, value }
+ */
+function tokenizeDOT (dot) {
+  const tokens = []
+  let i = 0
+  while (i < dot.length) {
+    const char = dot[i]
+    const next = dot[i + 1]
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '/' && next === '/') {
+      i = dot.indexOf('\n', i) === -1 ? dot.length : dot.indexOf('\n', i)
+    } else if (char === '/' && next === '*') {
+      const end = dot.indexOf('*/', i + 2)
+      i = end === -1 ? dot.length : end + 2
+    } else if (char === '#' && (i === 0 || dot[i - 1] === '\n')) {
+      // Linhas de pré-processador (C) são ignoradas
+      i = dot.indexOf('\n', i) === -1 ? dot.length : dot.indexOf('\n', i)
+    } else if (char === '-' && (next === '>' || next === '-')) {
+      tokens.push({ type: 'op', value: char + next })
+      i += 2
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: 'op', value: char })
+      i++
+    } else if (char === '"') {
+      let value = ''
+      i++
+      while (i < dot.length && dot[i] !== '"') {
+        if (dot[i] === '\\' && dot[i + 1] === '"') {
+          value += '"'
+          i += 2
+        } else if (dot[i] === '\\' && dot[i + 1] === '\n') {
+          // Continuação de linha
+          i += 2
+        } else {
+          value += dot[i++]
+        }
+      }
+      i++
+      // Concatenação de textos: "a" + "b"
+      const last = tokens[tokens.length - 1]
+      if (last && last.concat) {
+        last.value += value
+        last.concat = false
+      } else {
+        tokens.push({ type: 'id', value })
+      }
+    } else if (char === '+' && tokens.length && tokens[tokens.length - 1].type === 'id') {
+      tokens[tokens.length - 1].concat = true
+      i++
+    } else if (char === '<') {
+      // Texto HTML (pode conter < e > aninhados)
+      let depth = 0
+      let value = ''
+      do {
+        if (dot[i] === '<') depth++
+        if (dot[i] === '>') depth--
+        value += dot[i++]
+      } while (i < dot.length && depth > 0)
+      tokens.push({ type: 'id', value: value.slice(1, -1) })
+    } else {
+      const match = /^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(dot.slice(i))
+      if (!match) {
+        throw new Error(`Conteúdo DOT inválido: caractere inesperado "${char}"`)
+      }
+      tokens.push({ type: 'id', value: match[0] })
+      i += match[0].length
+    }
+  }
+  return tokens
+}
+
+/**
+ * Converte um grafo no formato DOT (Graphviz). Os atributos pos ("x,y"), label, color,
+ * width (nós) e weight ou penwidth (arestas) são mapeados para os campos correspondentes.
+ * Subgrafos são achatados.
+ * @param {String} dot Conteúdo DOT
+ * @returns {Object} Dados da rede { nodes, edges, directed }
+ */
+export function parseDOT (dot) {
+  if (typeof dot !== 'string') {
+    throw new Error('Informe o conteúdo DOT como texto')
+  }
+  const tokens = tokenizeDOT(dot)
+  let position = 0
+  const peek = () => tokens[position]
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Conteúdo DOT inválido: esperado "${value}"`)
+    }
+    position++
+  }
+  const readId = () => {
+    const token = peek()
+    if (!token || token.type !== 'id') {
+      throw new Error('Conteúdo DOT inválido: identificador esperado')
+    }
+    position++
+    return token.value
+  }
+  const keyword = (value) => peek() && peek().type === 'id' && peek().value.toLowerCase() === value
+
+  // Cabeçalho: [strict] (graph | digraph) [ID]
+  if (keyword('strict')) {
+    position++
+  }
+  if (!keyword('graph') && !keyword('digraph')) {
+    throw new Error('Conteúdo DOT inválido: esperado "graph" ou "digraph"')
+  }
+  const directed = readId().toLowerCase() === 'digraph'
+  if (peek() && peek().type === 'id') {
+    position++
+  }
+
+  const nodes = new Map()
+  const edges = []
+  // Lista de atributos: [a=b, c=d; e=f][g=h]
+  const readAttributes = () => {
+    const attributes = {}
+    while (isOp('[')) {
+      position++
+      while (!isOp(']')) {
+        const key = readId()
+        expect('=')
+        attributes[key] = readId()
+        if (isOp(',') || isOp(';')) {
+          position++
+        }
+      }
+      expect(']')
+    }
+    return attributes
+  }
+  // Nó com porta opcional (a:porta:compass)
+  const readNodeId = () => {
+    const id = readId()
+    while (isOp(':')) {
+      position++
+      readId()
+    }
+    return id
+  }
+  const declareNode = (id, defaults, attributes = {}) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { ...defaults })
+    }
+    Object.assign(nodes.get(id), attributes)
+  }
+  // Lista de instruções, com os atributos padrão do escopo; retorna os nós do escopo
+  const readStatements = (scope) => {
+    const defaults = { node: { ...scope.node }, edge: { ...scope.edge } }
+    const scopeNodes = new Set()
+    expect('{')
+    while (!isOp('}')) {
+      if (!peek()) {
+        throw new Error('Conteúdo DOT inválido: esperado "}"')
+      }
+      const following = tokens[position + 1]
+      if ((keyword('node') || keyword('edge') || keyword('graph')) && following && following.type === 'op' && following.value === '[') {
+        const target = readId().toLowerCase()
+        const attributes = readAttributes()
+        if (target !== 'graph') {
+          Object.assign(defaults[target], attributes)
+        }
+      } else {
+        // Operandos: nós ou subgrafos, ligados por -> ou --
+        const operands = []
+        do {
+          if (operands.length) {
+            position++
+          }
+          if (keyword('subgraph') || isOp('{')) {
+            if (keyword('subgraph')) {
+              position++
+              if (peek() && peek().type === 'id') {
+                position++
+              }
+            }
+            operands.push([...readStatements(defaults)])
+          } else {
+            const id = readNodeId()
+            if (isOp('=')) {
+              // Atributo do grafo (a = b)
+              position++
+              readId()
+              operands.push(null)
+              break
+            }
+            operands.push([id])
+          }
+        } while (isOp('->') || isOp('--'))
+        if (operands[0] === null) {
+          // Atributos do grafo são ignorados
+        } else if (operands.length > 1) {
+          const attributes = { ...defaults.edge, ...readAttributes() }
+          operands.forEach(ids => ids.forEach((id) => {
+            declareNode(id, defaults.node)
+            scopeNodes.add(id)
+          }))
+          for (let i = 1; i < operands.length; i++) {
+            operands[i - 1].forEach((source) => {
+              operands[i].forEach((target) => {
+                edges.push({ source, target, attributes })
+              })
+            })
+          }
+        } else {
+          // Nó isolado (com atributos) ou subgrafo (nós já declarados)
+          const attributes = readAttributes()
+          operands[0].forEach((id) => {
+            declareNode(id, defaults.node, operands[0].length === 1 ? attributes : {})
+            scopeNodes.add(id)
+          })
+        }
+      }
+      if (isOp(';') || isOp(',')) {
+        position++
+      }
+    }
+    expect('}')
+    return scopeNodes
+  }
+  readStatements({ node: {}, edge: {} })
+
+  return {
+    nodes: [...nodes].map(([id, values]) => {
+      const { fields, attributes } = splitFields(values, ['label', 'pos', 'color', 'fillcolor', 'width'])
+      const [x, y] = (fields.pos || '').replace('!', '').split(',').map(toNumber)
+      return compact({
+        id,
+        label: fields.label,
+        x,
+        y,
+        size: toNumber(fields.width) ?? 1,
+        color: toHexColor(fields.fillcolor) || toHexColor(fields.color),
+        attributes
+      })
+    }),
+    edges: edges.map(({ source, target, attributes: values }) => {
+      const { fields, attributes } = splitFields(values, ['weight', 'penwidth', 'color'])
+      return compact({
+        sourceID: source,
+        targetID: target,
+        weight: toNumber(fields.weight) ?? toNumber(fields.penwidth) ?? 1,
+        // Listas de cores (a:b) utilizam a primeira cor
+        color: toHexColor((fields.color || '').split(':')[0]),
+        attributes
+      })
+    }),
+    directed
+  }
+}
+
+/**
+ * Converte um grafo nos formatos JSON do Cytoscape.js (elements, inclusive o gerado pelo
+ * NetworkX) e do Sigma.js (graphology: nós com key e attributes; versão 1: nós com id)
+ * @param {String|Object} json Conteúdo JSON (texto ou objeto)
+ * @returns {Object} Dados da rede { nodes, edges, directed }
+ */
+export function parseCytoscapeJSON (json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json
+  if (!data || typeof data !== 'object') {
+    throw new Error('Informe o conteúdo JSON como texto ou objeto')
+  }
+  const toNode = (id, values, position = {}) => {
+    const { fields, attributes } = splitFields(values, [...NODE_FIELDS, 'id', 'key', 'name'])
+    return compact({
+      id,
+      label: typeof (fields.label ?? fields.name) !== 'undefined' ? String(fields.label ?? fields.name) : undefined,
+      x: toNumber(position.x ?? fields.x),
+      y: toNumber(position.y ?? fields.y),
+      size: toNumber(fields.size) ?? 1,
+      color: toHexColor(fields.color),
+      attributes
+    })
+  }
+  const toEdge = (source, target, values) => {
+    const { fields, attributes } = splitFields(values, ['id', 'key', 'source', 'target', 'size', 'weight', 'color'])
+    return compact({
+      id: fields.id ?? fields.key,
+      sourceID: source,
+      targetID: target,
+      weight: toNumber(fields.weight) ?? toNumber(fields.size) ?? 1,
+      color: toHexColor(fields.color),
+      attributes
+    })
+  }
+
+  // Cytoscape.js: { elements: { nodes, edges } } ou { elements: [{ group, data, position }] }
+  if (data.elements) {
+    const elements = Array.isArray(data.elements)
+      ? data.elements
+      : [...(data.elements.nodes || []), ...(data.elements.edges || [])]
+    const isEdge = element => element.group === 'edges' || (!element.group && element.data &&
+      typeof element.data.source !== 'undefined' && typeof element.data.target !== 'undefined')
+    return {
+      nodes: elements.filter(e => !isEdge(e)).map(e => toNode(e.data.id, e.data, e.position)),
+      edges: elements.filter(isEdge).map(e => toEdge(e.data.source, e.data.target, e.data)),
+      directed: data.directed ?? false
+    }
+  }
+
+  if (!Array.isArray(data.nodes)) {
+    throw new Error('O conteúdo JSON não contém "elements" (Cytoscape) nem "nodes" (Sigma)')
+  }
+  // Sigma.js 2 (graphology): { nodes: [{ key, attributes }], edges: [{ source, target, attributes }] }
+  const graphology = data.nodes.some(node => typeof node.key !== 'undefined')
+  if (graphology) {
+    const type = data.options && data.options.type
+    return {
+      nodes: data.nodes.map(node => toNode(node.key, node.attributes || {})),
+      edges: (data.edges || []).map(edge => toEdge(edge.source, edge.target, { key: edge.key, ...(edge.attributes || {}) })),
+      directed: type === 'directed' || (type !== 'undirected' && (data.edges || []).some(edge => !edge.undirected))
+    }
+  }
+  // Sigma.js 1: { nodes: [{ id, label, x, y, size, color }], edges: [{ id, source, target }] }
+  return {
+    nodes: data.nodes.map(node => toNode(node.id, { ...(node.attributes || {}), ...omit(node, ['attributes']) })),
+    edges: (data.edges || []).map(edge => toEdge(
+      edge.source ?? edge.sourceID,
+      edge.target ?? edge.targetID,
+      { ...(edge.attributes || {}), ...omit(edge, ['attributes', 'sourceID', 'targetID']) }
+    )),
+    directed: false
+  }
+}
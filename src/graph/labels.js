@@ -0,0 +1,232 @@
+import { drawLabels } from './commands'
+
+// Tamanho da fonte utilizada no atlas de glifos (os rótulos são escalados a partir dele)
+const ATLAS_FONT_SIZE = 32
+// Espaçamento em volta de cada glifo no atlas
+const ATLAS_PADDING = 2
+// Largura máxima do atlas de glifos
+const ATLAS_WIDTH = 1024
+// Tamanho das células da grade utilizada na detecção de colisões (px)
+const COLLISION_CELL_SIZE = 100
+
+/**
+ * Cria um atlas de glifos (canvas 2D) com os caracteres informados
+ * @param {String[]} chars Caracteres do atlas
+ * @param {String} font Família da fonte (formato CSS)
+ * @returns {Object} Atlas { canvas, glyphs, lineHeight, font }
+ */
+function createGlyphAtlas (chars, font) {
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  const lineHeight = Math.ceil(ATLAS_FONT_SIZE * 1.3)
+  const glyphs = new Map()
+  ctx.font = `${ATLAS_FONT_SIZE}px ${font}`
+  // Posicionando os glifos em linhas
+  let x = 0
+  let y = 0
+  chars.forEach((char) => {
+    const advance = ctx.measureText(char).width
+    const width = Math.ceil(advance) + ATLAS_PADDING * 2
+    if (x + width > ATLAS_WIDTH) {
+      x = 0
+      y += lineHeight
+    }
+    glyphs.set(char, { x, y, width, advance })
+    x += width
+  })
+  canvas.width = ATLAS_WIDTH
+  canvas.height = y + lineHeight
+  // O redimensionamento do canvas reinicia o contexto
+  ctx.font = `${ATLAS_FONT_SIZE}px ${font}`
+  ctx.textBaseline = 'middle'
+  ctx.fillStyle = '#FFFFFF'
+  glyphs.forEach((glyph, char) => {
+    ctx.fillText(char, glyph.x + ATLAS_PADDING, glyph.y + lineHeight / 2)
+  })
+  return { canvas, glyphs, lineHeight, font }
+}
+
+/**
+ * Cria o controlador dos rótulos dos nós (atlas de glifos, visibilidade e colisões)
+ * @param {Object} regl Instância da biblioteca regl
+ */
+export function createLabels (regl) {
+  const command = drawLabels(regl)
+  const buffers = {
+    anchors: regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+    offsets: regl.buffer({ usage: 'dynamic', type: 'float', length: 0 }),
+    uvs: regl.buffer({ usage: 'dynamic', type: 'float', length: 0 })
+  }
+  let atlas = null
+  let texture = null
+  let items = []
+  let chars = new Set()
+  let count = 0
+  let lastLayout = null
+  // Rótulos exibidos na última seleção (posições na tela)
+  let visible = []
+
+  /**
+   * (Re)cria o atlas de glifos quando há novos caracteres ou outra fonte
+   */
+  const loadAtlas = (font) => {
+    if (atlas && atlas.font === font && [...chars].every(char => atlas.glyphs.has(char))) {
+      return
+    }
+    atlas = createGlyphAtlas([...chars], font)
+    if (texture) {
+      texture({ data: atlas.canvas, min: 'linear', mag: 'linear' })
+    } else {
+      texture = regl.texture({ data: atlas.canvas, min: 'linear', mag: 'linear' })
+    }
+  }
+
+  /**
+   * Largura do texto em unidades do tamanho da fonte
+   */
+  const textWidth = (text) => {
+    let width = 0
+    for (const char of text) {
+      width += atlas.glyphs.get(char).advance
+    }
+    return width / ATLAS_FONT_SIZE
+  }
+
+  /**
+   * Seleciona os rótulos visíveis (tela, zoom, tamanho do nó e colisões) e preenche os buffers
+   */
+  const layout = (props) => {
+    const { positions, sizes, visibility, transform, zoom, stageWidth, stageHeight, fontSize, padding, minZoom, minNodeSize } = props
+    const anchors = []
+    const offsets = []
+    const uvs = []
+    const grid = new Map()
+    visible = []
+    const scale = Math.sqrt(zoom)
+    const height = (atlas.lineHeight / ATLAS_FONT_SIZE) * fontSize * scale
+    const cellHeight = atlas.lineHeight / ATLAS_FONT_SIZE
+    const collides = (box) => {
+      const cells = []
+      for (let cx = Math.floor(box[0] / COLLISION_CELL_SIZE); cx <= Math.floor(box[2] / COLLISION_CELL_SIZE); cx++) {
+        for (let cy = Math.floor(box[1] / COLLISION_CELL_SIZE); cy <= Math.floor(box[3] / COLLISION_CELL_SIZE); cy++) {
+          const key = `${cx},${cy}`
+          const placed = grid.get(key)
+          if (placed && placed.some(b => box[0] < b[2] && box[2] > b[0] && box[1] < b[3] && box[3] > b[1])) {
+            return true
+          }
+          cells.push(key)
+        }
+      }
+      cells.forEach((key) => {
+        grid.has(key) ? grid.get(key).push(box) : grid.set(key, [box])
+      })
+      return false
+    }
+    count = 0
+    if (zoom >= minZoom) {
+      // Os itens já estão ordenados por prioridade (maior primeiro)
+      items.forEach(({ index, text }) => {
+        const position = positions[index]
+        const nodeSize = sizes[index] * scale
+        if (!position || nodeSize < minNodeSize || (visibility && !visibility[index])) {
+          return
+        }
+        // Posição do nó na tela (transform: [k, 0, 0, 0, k, 0, x, y, 1])
+        const x = transform[0] * position[0] + transform[6]
+        const y = transform[4] * position[1] + transform[7]
+        const left = x + nodeSize / 2 + padding
+        const box = [left, y - height / 2, left + textWidth(text) * fontSize * scale, y + height / 2]
+        if (box[2] < 0 || box[0] > stageWidth || box[3] < 0 || box[1] > stageHeight || collides(box)) {
+          return
+        }
+        visible.push({ index, text, x: left, y, fontSize: fontSize * scale })
+        // Dois triângulos por glifo
+        const anchor = [position[0], position[1], sizes[index]]
+        let cursor = 0
+        for (const char of text) {
+          const glyph = atlas.glyphs.get(char)
+          const x0 = (cursor - ATLAS_PADDING) / ATLAS_FONT_SIZE
+          const x1 = x0 + glyph.width / ATLAS_FONT_SIZE
+          const y0 = -cellHeight / 2
+          const y1 = cellHeight / 2
+          const u0 = glyph.x / atlas.canvas.width
+          const u1 = (glyph.x + glyph.width) / atlas.canvas.width
+          const v0 = glyph.y / atlas.canvas.height
+          const v1 = (glyph.y + atlas.lineHeight) / atlas.canvas.height
+          offsets.push([x0, y0], [x1, y0], [x1, y1], [x0, y0], [x1, y1], [x0, y1])
+          uvs.push([u0, v0], [u1, v0], [u1, v1], [u0, v0], [u1, v1], [u0, v1])
+          for (let i = 0; i < 6; i++) {
+            anchors.push(anchor)
+          }
+          cursor += glyph.advance
+        }
+      })
+      count = anchors.length
+    }
+    buffers.anchors(anchors)
+    buffers.offsets(offsets)
+    buffers.uvs(uvs)
+  }
+
+  return {
+    /**
+     * Atribui os rótulos dos nós
+     * @param {Object[]} labels Rótulos { index, text } ordenados por prioridade (maior primeiro)
+     */
+    setLabels: (labels) => {
+      items = labels.filter(({ text }) => text !== '')
+      chars = new Set()
+      items.forEach(({ text }) => {
+        for (const char of text) {
+          chars.add(char)
+        }
+      })
+      lastLayout = null
+    },
+    /**
+     * Indica que as posições ou tamanhos dos nós foram alterados
+     */
+    invalidate: () => {
+      lastLayout = null
+    },
+    /**
+     * Renderiza os rótulos visíveis. A seleção dos rótulos só é refeita quando o
+     * zoom, a posição do grafo ou as configurações mudam.
+     * @param {Object} props Propriedades da renderização
+     */
+    draw: (props) => {
+      if (!items.length) {
+        return
+      }
+      loadAtlas(props.font)
+      const { transform, stageWidth, stageHeight, fontSize, padding, minZoom, minNodeSize } = props
+      const key = [transform[0], transform[4], transform[6], transform[7], stageWidth, stageHeight, fontSize, padding, minZoom, minNodeSize, props.font].join()
+      if (lastLayout !== key) {
+        layout(props)
+        lastLayout = key
+      }
+      if (count) {
+        command({
+          ...props,
+          ...buffers,
+          atlas: texture,
+          count
+        })
+      }
+    },
+    /**
+     * Retorna os rótulos exibidos na última renderização, com as posições na tela
+     * (início do texto à esquerda e centro vertical) e o tamanho da fonte aplicado
+     * @returns {Object[]} Rótulos { index, text, x, y, fontSize }
+     */
+    getVisible: () => {
+      return items.length ? [...visible] : []
+    },
+    destroy: () => {
+      buffers.anchors.destroy()
+      buffers.offsets.destroy()
+      buffers.uvs.destroy()
+      texture && texture.destroy()
+    }
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Configurações padrão da simulação de forças (baseadas no ngraph.forcelayout)
+ */
+export const defaultLayoutOptions = {
+  // Comprimento ideal das molas (arestas)
+  springLength: 30,
+  // Rigidez das molas
+  springCoefficient: 0.0008,
+  // Força de repulsão entre os nós (negativa para repelir)
+  gravity: -1.2,
+  // Precisão da aproximação Barnes-Hut (quanto menor, mais preciso e mais lento)
+  theta: 0.8,
+  // Atrito aplicado às velocidades
+  dragCoefficient: 0.04,
+  // Passo de tempo da integração
+  timeStep: 20,
+  // Número máximo de iterações
+  maxIterations: 1000,
+  // Deslocamento médio (por nó) abaixo do qual a simulação é considerada estável
+  stableThreshold: 0.01,
+  // Iterações executadas entre cada envio de posições
+  iterationsPerStep: 1
+}
+
+/**
+ * Posição inicial de um nó sem coordenadas (espiral filotáxica, como no d3-force)
+ * @param {Number} index Índice do nó
+ * @param {Number} [springLength] Comprimento ideal das molas
+ * @returns {Object} Coordenadas { x, y }
+ */
+export function initialLayoutPosition (index, springLength = defaultLayoutOptions.springLength) {
+  const radius = springLength * Math.sqrt(0.5 + index)
+  const angle = index * Math.PI * (3 - Math.sqrt(5))
+  return {
+    x: radius * Math.cos(angle),
+    y: radius * Math.sin(angle)
+  }
+}
+
+/**
+ * Código executado no Web Worker. Essa função é serializada (toString) e, por isso,
+ * não pode referenciar nada fora do seu próprio escopo.
+ */
+function layoutWorker () {
+  let options = null
+  let positions = null
+  let velocities = null
+  let forces = null
+  let masses = null
+  let links = null
+  let count = 0
+  let iteration = 0
+  let timer = null
+
+  self.onmessage = (event) => {
+    const message = event.data
+    switch (message.type) {
+      case 'init':
+        options = message.options
+        positions = message.positions
+        links = message.links
+        count = positions.length / 2
+        iteration = 0
+        velocities = new Float32Array(count * 2)
+        forces = new Float32Array(count * 2)
+        // Nós com mais arestas são mais pesados
+        masses = new Float32Array(count).fill(1)
+        for (let i = 0; i < links.length; i++) {
+          masses[links[i]] += 1 / 3
+        }
+        start()
+        break
+      case 'start':
+        start()
+        break
+      case 'stop':
+        stop()
+        break
+    }
+  }
+
+  function start () {
+    if (timer === null && positions) {
+      timer = setTimeout(tick, 0)
+    }
+  }
+
+  function stop () {
+    if (timer !== null) {
+      clearTimeout(timer)
+      timer = null
+    }
+  }
+
+  function tick () {
+    let movement = 0
+    for (let i = 0; i < options.iterationsPerStep; i++) {
+      movement = step()
+      iteration++
+    }
+    const stable = movement / (count || 1) < options.stableThreshold
+    const finished = stable || iteration >= options.maxIterations
+    self.postMessage({ type: 'step', positions: positions.slice(), iteration })
+    if (finished) {
+      timer = null
+      self.postMessage({ type: 'end', iteration })
+    } else {
+      timer = setTimeout(tick, 0)
+    }
+  }
+
+  function jitter () {
+    return (Math.random() - 0.5) / 50
+  }
+
+  /**
+   * Constrói a quadtree (Barnes-Hut) com as posições atuais
+   */
+  function buildQuadTree () {
+    let x0 = Infinity
+    let y0 = Infinity
+    let x1 = -Infinity
+    let y1 = -Infinity
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 2]
+      const y = positions[i * 2 + 1]
+      if (x < x0) x0 = x
+      if (x > x1) x1 = x
+      if (y < y0) y0 = y
+      if (y > y1) y1 = y
+    }
+    const root = createQuad(x0, y0, Math.max(x1 - x0, y1 - y0) + 1)
+    for (let i = 0; i < count; i++) {
+      insert(root, i)
+    }
+    return root
+  }
+
+  function createQuad (x, y, size) {
+    return { x, y, size, mass: 0, cx: 0, cy: 0, body: -1, children: null }
+  }
+
+  function insert (quad, i) {
+    const x = positions[i * 2]
+    const y = positions[i * 2 + 1]
+    const mass = masses[i]
+    while (true) {
+      // Atualizando o centro de massa
+      quad.cx = (quad.cx * quad.mass + x * mass) / (quad.mass + mass)
+      quad.cy = (quad.cy * quad.mass + y * mass) / (quad.mass + mass)
+      quad.mass += mass
+      if (quad.children === null) {
+        if (quad.body === -1) {
+          quad.body = i
+          return
+        }
+        // Quadrantes muito pequenos acumulam os nós (posições praticamente iguais)
+        if (quad.size < 1e-3) {
+          return
+        }
+        // Subdividindo o quadrante e reposicionando o nó existente
+        const half = quad.size / 2
+        quad.children = [
+          createQuad(quad.x, quad.y, half),
+          createQuad(quad.x + half, quad.y, half),
+          createQuad(quad.x, quad.y + half, half),
+          createQuad(quad.x + half, quad.y + half, half)
+        ]
+        const body = quad.body
+        quad.body = -1
+        const child = quad.children[childIndex(quad, positions[body * 2], positions[body * 2 + 1])]
+        child.body = body
+        child.mass = masses[body]
+        child.cx = positions[body * 2]
+        child.cy = positions[body * 2 + 1]
+      }
+      quad = quad.children[childIndex(quad, x, y)]
+    }
+  }
+
+  function childIndex (quad, x, y) {
+    const half = quad.size / 2
+    return (x >= quad.x + half ? 1 : 0) + (y >= quad.y + half ? 2 : 0)
+  }
+
+  /**
+   * Executa uma iteração da simulação
+   * @returns {Number} Deslocamento total dos nós
+   */
+  function step () {
+    forces.fill(0)
+    // Repulsão entre os nós
+    const root = buildQuadTree()
+    const stack = []
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 2]
+      const y = positions[i * 2 + 1]
+      stack.push(root)
+      while (stack.length) {
+        const quad = stack.pop()
+        if (quad.mass === 0 || quad.body === i) {
+          continue
+        }
+        let dx = quad.cx - x
+        let dy = quad.cy - y
+        let r = Math.sqrt(dx * dx + dy * dy)
+        if (quad.children === null || quad.size / r < options.theta) {
+          if (r === 0) {
+            dx = jitter()
+            dy = jitter()
+            r = Math.sqrt(dx * dx + dy * dy)
+          }
+          const v = options.gravity * quad.mass * masses[i] / (r * r * r)
+          forces[i * 2] += v * dx
+          forces[i * 2 + 1] += v * dy
+        } else {
+          for (let c = 0; c < 4; c++) {
+            stack.push(quad.children[c])
+          }
+        }
+      }
+    }
+    // Molas (arestas)
+    for (let l = 0; l < links.length; l += 2) {
+      const a = links[l]
+      const b = links[l + 1]
+      if (a === b) {
+        continue
+      }
+      let dx = positions[b * 2] - positions[a * 2]
+      let dy = positions[b * 2 + 1] - positions[a * 2 + 1]
+      let r = Math.sqrt(dx * dx + dy * dy)
+      if (r === 0) {
+        dx = jitter()
+        dy = jitter()
+        r = Math.sqrt(dx * dx + dy * dy)
+      }
+      const coefficient = options.springCoefficient * (r - options.springLength) / r
+      forces[a * 2] += coefficient * dx
+      forces[a * 2 + 1] += coefficient * dy
+      forces[b * 2] -= coefficient * dx
+      forces[b * 2 + 1] -= coefficient * dy
+    }
+    // Integração (Euler)
+    let movement = 0
+    for (let i = 0; i < count; i++) {
+      let vx = velocities[i * 2] * (1 - options.dragCoefficient) + options.timeStep * forces[i * 2] / masses[i]
+      let vy = velocities[i * 2 + 1] * (1 - options.dragCoefficient) + options.timeStep * forces[i * 2 + 1] / masses[i]
+      const v = Math.sqrt(vx * vx + vy * vy)
+      if (v > 1) {
+        vx /= v
+        vy /= v
+      }
+      velocities[i * 2] = vx
+      velocities[i * 2 + 1] = vy
+      const dx = options.timeStep * vx
+      const dy = options.timeStep * vy
+      positions[i * 2] += dx
+      positions[i * 2 + 1] += dy
+      movement += Math.sqrt(dx * dx + dy * dy)
+    }
+    return movement
+  }
+}
+
+/**
+ * Cria o controlador do layout de forças, executado em um Web Worker
+ * @param {Object} params Parâmetros do layout
+ * @param {Float32Array} params.positions Posições iniciais dos nós [x0, y0, x1, y1, ...]
+ * @param {Uint32Array} params.links Índices dos nós das arestas [origem0, destino0, ...]
+ * @param {Object} [params.options] Configurações da simulação (ver defaultLayoutOptions)
+ * @param {Function} params.onStep Função executada a cada passo (positions, iteration)
+ * @param {Function} params.onEnd Função executada ao final da simulação (iteration)
+ */
+export function createLayout ({ positions, links, options = {}, onStep, onEnd }) {
+  const url = URL.createObjectURL(new Blob([`(${layoutWorker.toString()})()`], { type: 'application/javascript' }))
+  const worker = new Worker(url)
+
+  worker.onmessage = (event) => {
+    const message = event.data
+    if (message.type === 'step') {
+      onStep(message.positions, message.iteration)
+    } else if (message.type === 'end') {
+      onEnd(message.iteration)
+    }
+  }
+
+  worker.postMessage({
+    type: 'init',
+    positions,
+    links,
+    options: { ...defaultLayoutOptions, ...options }
+  }, [positions.buffer, links.buffer])
+
+  return {
+    start: () => {
+      worker.postMessage({ type: 'start' })
+    },
+    stop: () => {
+      worker.postMessage({ type: 'stop' })
+    },
+    destroy: () => {
+      worker.terminate()
+      URL.revokeObjectURL(url)
+    },
+    instance: worker
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Cria um elemento HTML com classe e texto opcionais
+ * @param {String} tag Nome do elemento
+ * @param {String} [className] Classe CSS
+ * @param {String} [text] Texto do elemento (inserido como texto, sem interpretar HTML)
+ * @returns {HTMLElement} Elemento criado
+ */
+function createElement (tag, className = null, text = null) {
+  const element = document.createElement(tag)
+  if (className) {
+    element.className = className
+  }
+  if (text !== null) {
+    element.textContent = text
+  }
+  return element
+}
+
+/**
+ * Cria o controlador da legenda, um elemento HTML sobreposto ao canvas no estilo das tooltips
+ * @param {HTMLElement} container Container do grafo
+ * @param {Function} onSelect Função executada no clique em um item de categoria (item) => void
+ */
+export function createLegend (container, onSelect) {
+  const element = createElement('div', 'regl-graph-legend')
+  // A legenda é posicionada em relação ao container
+  const containerPosition = container.style.position
+  if (window.getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative'
+  }
+  container.appendChild(element)
+  // Itens clicáveis por chave e chave do item ativo
+  let items = new Map()
+  let active = null
+
+  const handleClick = (event) => {
+    const target = event.target.closest('[data-key]')
+    if (target && items.has(target.dataset.key)) {
+      onSelect(items.get(target.dataset.key))
+    }
+  }
+  element.addEventListener('click', handleClick)
+
+  /**
+   * Seção de categorias: um marcador de cor e o rótulo (com a quantidade de nós) por item
+   */
+  const renderCategories = (section, list) => {
+    section.items.forEach((item) => {
+      const entry = createElement('li', 'legend-item legend-clickable')
+      entry.dataset.key = item.key
+      const swatch = createElement('span', 'legend-swatch')
+      swatch.style.background = item.color
+      entry.appendChild(swatch)
+      entry.appendChild(createElement('span', 'legend-label', item.label))
+      entry.appendChild(createElement('span', 'legend-count', String(item.count)))
+      list.appendChild(entry)
+      items.set(item.key, item)
+    })
+  }
+
+  /**
+   * Seção de escala contínua: barra com o gradiente e os valores mínimo e máximo
+   */
+  const renderGradient = (section, list) => {
+    const entry = createElement('li', 'legend-item legend-gradient')
+    const bar = createElement('span', 'legend-gradient-bar')
+    bar.style.background = `linear-gradient(to right, ${section.colors.join(', ')})`
+    entry.appendChild(bar)
+    const labels = createElement('span', 'legend-gradient-labels')
+    labels.appendChild(createElement('span', null, section.min))
+    labels.appendChild(createElement('span', null, section.max))
+    entry.appendChild(labels)
+    list.appendChild(entry)
+  }
+
+  /**
+   * Seção de tamanhos: círculos com os tamanhos mínimo e máximo
+   */
+  const renderSizes = (section, list) => {
+    section.items.forEach((item) => {
+      const entry = createElement('li', 'legend-item')
+      const circle = createElement('span', 'legend-circle')
+      circle.style.width = circle.style.height = `${item.size}px`
+      const wrapper = createElement('span', 'legend-circle-wrapper')
+      wrapper.style.width = `${section.maxSize}px`
+      wrapper.appendChild(circle)
+      entry.appendChild(wrapper)
+      entry.appendChild(createElement('span', 'legend-label', item.label))
+      list.appendChild(entry)
+    })
+  }
+
+  const setActive = (key) => {
+    active = items.has(key) ? key : null
+    element.classList.toggle('legend-has-active', active !== null)
+    element.querySelectorAll('[data-key]').forEach((entry) => {
+      entry.classList.toggle('legend-active', entry.dataset.key === active)
+    })
+  }
+
+  return {
+    /**
+     * (Re)cria o conteúdo da legenda, mantendo o item ativo se ele ainda existir
+     * @param {Object} params Conteúdo da legenda { title, position, sections }
+     * @param {String} [params.title] Título da legenda
+     * @param {String} params.position Posição: top-right | top-left | bottom-right | bottom-left
+     * @param {Object[]} params.sections Seções { type: categories | gradient | sizes, title, ... }
+     */
+    update: ({ title = null, position, sections }) => {
+      element.className = `regl-graph-legend legend-${position}`
+      element.textContent = ''
+      items = new Map()
+      if (title) {
+        element.appendChild(createElement('div', 'legend-title', title))
+      }
+      sections.forEach((section) => {
+        if (section.title) {
+          element.appendChild(createElement('div', 'legend-section-title', section.title))
+        }
+        const list = createElement('ul', 'legend-list')
+        if (section.type === 'categories') {
+          renderCategories(section, list)
+        } else if (section.type === 'gradient') {
+          renderGradient(section, list)
+        } else if (section.type === 'sizes') {
+          renderSizes(section, list)
+        }
+        element.appendChild(list)
+      })
+      element.style.display = sections.length ? '' : 'none'
+      setActive(active)
+    },
+    /**
+     * Marca o item ativo (destacado ou isolado) ou nenhum (null)
+     * @param {String|null} key Chave do item
+     */
+    setActive,
+    destroy: () => {
+      element.removeEventListener('click', handleClick)
+      element.parentNode && element.parentNode.removeChild(element)
+      container.style.position = containerPosition
+    },
+    element
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Busca de caminhos mínimos no modelo do grafo (ngraph)
+ */
+
+/**
+ * Fila de prioridade (heap binário de mínimo) utilizada pelo algoritmo de Dijkstra
+ */
+function createQueue () {
+  const items = []
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]]
+  }
+  return {
+    size: () => items.length,
+    push: (value, priority) => {
+      items.push({ value, priority })
+      let i = items.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (items[parent].priority <= items[i].priority) {
+          break
+        }
+        swap(i, parent)
+        i = parent
+      }
+    },
+    pop: () => {
+      const top = items[0]
+      const last = items.pop()
+      if (items.length) {
+        items[0] = last
+        let i = 0
+        for (;;) {
+          const left = i * 2 + 1
+          const right = left + 1
+          let smallest = i
+          if (left < items.length && items[left].priority < items[smallest].priority) smallest = left
+          if (right < items.length && items[right].priority < items[smallest].priority) smallest = right
+          if (smallest === i) {
+            break
+          }
+          swap(i, smallest)
+          i = smallest
+        }
+      }
+      return top
+    }
+  }
+}
+
+/**
+ * Percorre as arestas de um nó que podem ser utilizadas no caminho
+ * @param {Object} graph Grafo ngraph
+ * @param {String} id ID do nó
+ * @param {Boolean} directed Considera apenas as arestas que saem do nó
+ * @param {Function} isAllowed Função (node) => Boolean que indica se um nó pode fazer parte do caminho
+ * @param {Function} callback Função executada para cada aresta (nextNode, link) => void
+ */
+function forEachStep (graph, id, directed, isAllowed, callback) {
+  graph.forEachLinkedNode(id, (node, link) => {
+    if (isAllowed(node)) {
+      callback(node, link)
+    }
+  }, directed)
+}
+
+/**
+ * Reconstrói o caminho a partir dos predecessores de cada nó
+ * @param {Map} previous Predecessores { id => { id, link } }
+ * @param {String} sourceId ID do nó de origem
+ * @param {String} targetId ID do nó de destino
+ * @returns {Object} Caminho { nodes, links }
+ */
+function buildPath (previous, sourceId, targetId) {
+  const nodes = [targetId]
+  const links = []
+  let id = targetId
+  while (id !== sourceId) {
+    const step = previous.get(id)
+    links.unshift(step.link)
+    nodes.unshift(step.id)
+    id = step.id
+  }
+  return { nodes, links }
+}
+
+/**
+ * Busca o caminho mínimo entre dois nós: busca em largura (menor número de arestas) ou,
+ * com pesos, algoritmo de Dijkstra (menor soma dos pesos das arestas)
+ * @param {Object} graph Grafo ngraph
+ * @param {String} sourceId ID do nó de origem
+ * @param {String} targetId ID do nó de destino
+ * @param {Object} [options] Opções { weighted, directed, getWeight, isAllowed }
+ * @param {Boolean} [options.weighted] Utiliza os pesos das arestas. Padrão: false
+ * @param {Boolean} [options.directed] Percorre as arestas apenas no sentido origem -> destino. Padrão: false
+ * @param {Function} [options.getWeight] Peso (custo) de uma aresta (link) => Number. Padrão: link.data.weight
+ * @param {Function} [options.isAllowed] Indica se um nó pode fazer parte do caminho (node) => Boolean
+ * @returns {Object|null} Caminho { nodes (IDs), links (objetos ngraph), distance } ou null se não houver
+ */
+export function shortestPath (graph, sourceId, targetId, {
+  weighted = false,
+  directed = false,
+  getWeight = link => link.data.weight,
+  isAllowed = () => true
+} = {}) {
+  const previous = new Map()
+  if (sourceId === targetId) {
+    return { nodes: [sourceId], links: [], distance: 0 }
+  }
+  if (!weighted) {
+    // Busca em largura
+    const visited = new Set([sourceId])
+    let frontier = [sourceId]
+    while (frontier.length && !visited.has(targetId)) {
+      const next = []
+      frontier.forEach((id) => {
+        forEachStep(graph, id, directed, isAllowed, (node, link) => {
+          if (!visited.has(node.id)) {
+            visited.add(node.id)
+            previous.set(node.id, { id, link })
+            next.push(node.id)
+          }
+        })
+      })
+      frontier = next
+    }
+    if (!visited.has(targetId)) {
+      return null
+    }
+    const path = buildPath(previous, sourceId, targetId)
+    return { ...path, distance: path.links.length }
+  }
+  // Dijkstra (pesos negativos ou inválidos são tratados como zero)
+  const distances = new Map([[sourceId, 0]])
+  const done = new Set()
+  const queue = createQueue()
+  queue.push(sourceId, 0)
+  while (queue.size()) {
+    const { value: id, priority } = queue.pop()
+    if (done.has(id)) {
+      continue
+    }
+    done.add(id)
+    if (id === targetId) {
+      return { ...buildPath(previous, sourceId, targetId), distance: priority }
+    }
+    forEachStep(graph, id, directed, isAllowed, (node, link) => {
+      const weight = Number(getWeight(link))
+      const distance = priority + (weight > 0 ? weight : 0)
+      if (!done.has(node.id) && distance < (distances.get(node.id) ?? Infinity)) {
+        distances.set(node.id, distance)
+        previous.set(node.id, { id, link })
+        queue.push(node.id, distance)
+      }
+    })
+  }
+  return null
+}
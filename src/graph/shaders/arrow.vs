@@ -0,0 +1,57 @@
+precision highp float;
+
+attribute vec2 position;
+// esses pontos são vc3 porque levam o índice do nó no z
+attribute vec3 pointA, pointB;
+// cor (com opacidade) da extremidade de destino da aresta
+attribute vec4 colorB;
+// tamanhos dos nós de origem (x) e destino (y)
+attribute vec2 sizes;
+// visibilidade da aresta (filtro): 0.0 quando algum dos nós está oculto
+attribute float visible;
+// opacidades da aresta nas redes ego dos nós realçado (x) e selecionado (y)
+attribute vec2 ego;
+
+uniform mat3 transform;
+uniform mat3 projection;
+uniform float zoom;
+uniform float width;
+uniform float hovered;
+uniform float selected;
+// esmaecimento das arestas fora do caminho destacado
+uniform bool dimmed;
+uniform float arrowSize;
+uniform float curvature;
+// renderização de seleção (picking): a cor codifica o índice da aresta
+uniform bool picking;
+
+varying vec4 edgeColor;
+
+@import ./edge;
+
+void main() {
+  // arestas ocultas pelo filtro são degeneradas (fora da tela)
+  if (visible < 0.5) {
+    gl_Position = vec4(2.0, 2.0, 0, 1);
+    edgeColor = vec4(0.0);
+    return;
+  }
+  edgeColor = colorB;
+  vec2 xyPointA = vec2(pointA.xy);
+  vec2 xyPointB = vec2(pointB.xy);
+  vec2 control = edgeControlPoint(xyPointA, xyPointB, curvature);
+  float len = length(xyPointB - xyPointA);
+  float radius = nodeRadius(sizes.y, zoom);
+  float arrowLength = width * arrowSize;
+  // a ponta da seta fica na borda do nó de destino
+  vec2 tip = edgePoint(xyPointA, control, xyPointB, max(0.0, 1.0 - radius / len));
+  vec2 base = edgePoint(xyPointA, control, xyPointB, max(0.0, 1.0 - (radius + arrowLength) / len));
+  vec2 xBasis = normalize(tip - base);
+  vec2 yBasis = vec2(-xBasis.y, xBasis.x);
+  vec2 point = tip - xBasis * arrowLength * (1.0 - position.x) + yBasis * arrowLength * position.y;
+  vec3 final = projection * transform * vec3(point, 1);
+  gl_Position = vec4(final.xy, 0, 1);
+  float alpha = edgeAlpha(edgeColor.a, ego, hovered, selected, dimmed);
+  // no picking a opacidade identifica o tipo (aresta) e não pode ser alterada, apenas ocultada
+  edgeColor.a = picking ? (alpha > 0.0 ? edgeColor.a : 0.0) : alpha;
+}
@@ -0,0 +1,36 @@
+// Funções compartilhadas pelos shaders das arestas e das setas
+
+// Ponto de controle da curva de Bézier quadrática da aresta (curvature 0.0 = reta).
+// O deslocamento é sempre à esquerda do sentido origem -> destino, separando as arestas recíprocas.
+vec2 edgeControlPoint (vec2 a, vec2 b, float curvature) {
+  vec2 d = b - a;
+  return (a + b) * 0.5 + vec2(-d.y, d.x) * curvature;
+}
+
+// Ponto da aresta no parâmetro t (0.0 = origem, 1.0 = destino)
+vec2 edgePoint (vec2 a, vec2 c, vec2 b, float t) {
+  float s = 1.0 - t;
+  return s * s * a + 2.0 * s * t * c + t * t * b;
+}
+
+// Direção (normalizada) da aresta no parâmetro t
+vec2 edgeTangent (vec2 a, vec2 c, vec2 b, float t) {
+  return normalize(2.0 * (1.0 - t) * (c - a) + 2.0 * t * (b - c));
+}
+
+// Raio do nó no espaço do grafo (o tamanho renderizado acompanha a raiz quadrada do zoom)
+float nodeRadius (float size, float zoom) {
+  return size * exp(log(zoom) * 0.5) * 0.5 / zoom;
+}
+
+// Opacidade da aresta de acordo com as redes ego dos nós realçado (hovered) e selecionado (selected):
+// ego.x e ego.y são as opacidades da aresta em cada rede (0.0 quando ela não pertence à rede).
+// Com um caminho destacado (dimmed) as arestas são esmaecidas, como os nós no shader dos pontos.
+float edgeAlpha (float alpha, vec2 ego, float hovered, float selected, bool dimmed) {
+  if (dimmed) alpha *= 0.2;
+  if (selected != -1.0 && ego.y == 0.0) alpha = 0.0;
+  if (hovered != -1.0 && ego.x == 0.0) alpha = 0.0;
+  if (ego.x > 0.0) alpha = ego.x;
+  if (hovered == -1.0 && ego.y > 0.0) alpha = ego.y;
+  return alpha;
+}
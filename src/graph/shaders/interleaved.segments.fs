@@ -5,5 +5,9 @@ varying vec4 edgeColor;
 void main () {
   // float alpha = 1.0;
   // gl_FragColor = edgeColor * alpha;
+  // arestas ocultas não devem sobrescrever as demais (principalmente na renderização de seleção)
+  if (edgeColor.a == 0.0) {
+    discard;
+  }
   gl_FragColor = edgeColor;
 }
@@ -3,6 +3,14 @@ precision highp float;
 attribute vec2 position;
 // esses pontos são vc3 porque levam o índice do nó no z
 attribute vec3 pointA, pointB;
+// cores (com opacidade) das extremidades da aresta
+attribute vec4 colorA, colorB;
+// tamanhos dos nós de origem (x) e destino (y)
+attribute vec2 sizes;
+// visibilidade da aresta (filtro): 0.0 quando algum dos nós está oculto
+attribute float visible;
+// opacidades da aresta nas redes ego dos nós realçado (x) e selecionado (y)
+attribute vec2 ego;
 
 uniform mat3 transform;
 uniform mat3 projection;
@@ -12,21 +20,41 @@ uniform float stageHeight;
 uniform float width;
 uniform float hovered;
 uniform float selected;
-uniform vec4 color;
+// esmaecimento das arestas fora do caminho destacado
+uniform bool dimmed;
+uniform bool directed;
+uniform float arrowSize;
+uniform float curvature;
+// renderização de seleção (picking): a cor codifica o índice da aresta
+uniform bool picking;
 
 varying vec4 edgeColor;
 
+@import ./edge;
+
 void main() {
-  edgeColor = color;
+  // arestas ocultas pelo filtro são degeneradas (fora da tela)
+  if (visible < 0.5) {
+    gl_Position = vec4(2.0, 2.0, 0, 1);
+    edgeColor = vec4(0.0);
+    return;
+  }
+  edgeColor = mix(colorA, colorB, position.x);
   vec2 xyPointA = vec2(pointA.xy);
   vec2 xyPointB = vec2(pointB.xy);
-  vec2 xBasis = xyPointB - xyPointA;
-  vec2 yBasis = normalize(vec2(-xBasis.y, xBasis.x));
-  vec2 point = xyPointA + xBasis * position.x + yBasis * width * position.y;
+  vec2 control = edgeControlPoint(xyPointA, xyPointB, curvature);
+  float t = position.x;
+  // arestas direcionadas terminam na base da seta, antes do nó de destino
+  if (directed) {
+    float len = length(xyPointB - xyPointA);
+    t *= max(0.0, 1.0 - (nodeRadius(sizes.y, zoom) + width * arrowSize) / len);
+  }
+  vec2 xBasis = edgeTangent(xyPointA, control, xyPointB, t);
+  vec2 yBasis = vec2(-xBasis.y, xBasis.x);
+  vec2 point = edgePoint(xyPointA, control, xyPointB, t) + yBasis * width * position.y;
   vec3 final = projection * transform * vec3(point, 1);
   gl_Position = vec4(final.xy, 0, 1);
-  if (selected != -1.0 && pointA.z != selected && pointB.z != selected) edgeColor.a = 0.0;
-  if (hovered != -1.0 && pointA.z != hovered && pointB.z != hovered) edgeColor.a = 0.0;
-  if (pointA.z == hovered || pointB.z == hovered) edgeColor.a = 1.0;
-  if (hovered == -1.0 && (pointA.z == selected || pointB.z == selected)) edgeColor.a = 1.0;
+  float alpha = edgeAlpha(edgeColor.a, ego, hovered, selected, dimmed);
+  // no picking a opacidade identifica o tipo (aresta) e não pode ser alterada, apenas ocultada
+  edgeColor.a = picking ? (alpha > 0.0 ? edgeColor.a : 0.0) : alpha;
 }
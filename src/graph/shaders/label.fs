@@ -0,0 +1,14 @@
+precision mediump float;
+
+uniform sampler2D atlas;
+uniform vec4 color;
+
+varying vec2 glyphUv;
+
+void main () {
+  float alpha = texture2D(atlas, glyphUv).a;
+  if (alpha == 0.0) {
+    discard;
+  }
+  gl_FragColor = vec4(color.rgb, color.a * alpha);
+}
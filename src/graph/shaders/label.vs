@@ -0,0 +1,26 @@
+precision mediump float;
+
+// posição do nó no grafo (xy) e seu tamanho (z)
+attribute vec3 anchor;
+// deslocamento do vértice do glifo em relação ao início do rótulo (em unidades do tamanho da fonte)
+attribute vec2 offset;
+attribute vec2 uv;
+
+uniform mat3 transform;
+uniform mat3 projection;
+uniform float stageWidth;
+uniform float stageHeight;
+uniform float zoom;
+uniform float fontSize;
+uniform float padding;
+
+varying vec2 glyphUv;
+
+void main () {
+  glyphUv = uv;
+  float scale = exp(log(zoom) * 0.5);
+  vec3 final = projection * transform * vec3(anchor.xy, 1);
+  // o rótulo começa à direita do nó (raio do ponto renderizado + espaçamento)
+  vec2 pixels = vec2(anchor.z * scale * 0.5 + padding, 0.0) + offset * fontSize * scale;
+  gl_Position = vec4(final.xy + pixels * 2.0 / vec2(stageWidth, -stageHeight), 0, 1.0);
+}
@@ -4,13 +4,22 @@
 
 precision mediump float;
 
+uniform sampler2D atlas;
+uniform vec2 atlasGrid;
+
 varying vec4 nodeColor;
+varying vec4 nodeBorderColor;
+varying float nodeShape;
+varying float nodeBorder;
+varying vec2 nodeImage;
+
+@import ./shape;
 
 void main() {
 
   float r = 0.0, delta = 0.0, alpha = 1.0;
   vec2 cxy = 2.0 * gl_PointCoord - 1.0;
-  r = dot(cxy, cxy);
+  r = shapeDistance(vec2(cxy.x, -cxy.y), nodeShape);
   if (r > 1.0) {
       discard;
   }
@@ -21,8 +30,24 @@ void main() {
   // #endif
   delta = fwidth(r);
   alpha = 1.0 - smoothstep(1.0 - delta, 1.0 + delta, r);
+  // anel: o interior é vazado
+  if (nodeShape == 4.0) {
+    alpha *= smoothstep(0.6 - delta, 0.6 + delta, r);
+  }
+
+  vec4 fill = nodeColor;
+  // imagem (ou ícone) sobre a cor do nó
+  if (nodeImage.x >= 0.0) {
+    vec4 texel = texture2D(atlas, nodeImage + gl_PointCoord / atlasGrid);
+    fill.rgb = mix(fill.rgb, texel.rgb, texel.a);
+  }
+  // borda
+  if (nodeBorder > 0.0) {
+    float border = smoothstep(1.0 - nodeBorder - delta, 1.0 - nodeBorder + delta, r);
+    fill = mix(fill, nodeBorderColor, border);
+  }
 
   // gl_FragColor = nodeColor * alpha;
-  gl_FragColor = vec4( nodeColor.rgb, nodeColor.a * alpha );
+  gl_FragColor = vec4( fill.rgb, fill.a * alpha );
   // gl_FragColor.rgb *= gl_FragColor.a;
 }
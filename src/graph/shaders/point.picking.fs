@@ -0,0 +1,16 @@
+precision mediump float;
+
+// cor que codifica o índice do nó (sem anti-aliasing e sem transparência)
+varying vec4 nodeColor;
+varying float nodeShape;
+
+@import ./shape;
+
+void main() {
+  vec2 cxy = 2.0 * gl_PointCoord - 1.0;
+  // o anel é selecionável em toda a sua área
+  if (shapeDistance(vec2(cxy.x, -cxy.y), nodeShape) > 1.0) {
+    discard;
+  }
+  gl_FragColor = nodeColor;
+}
@@ -3,23 +3,50 @@ precision mediump float;
 attribute vec3 position;
 attribute vec4 color;
 attribute float size;
+// visibilidade do nó (filtro): 1.0 visível, 0.0 oculto
+attribute float visible;
+// estilo do nó: formato, largura da borda (px) e índice da imagem no atlas (-1.0 para nenhuma)
+attribute vec3 style;
+attribute vec4 borderColor;
 
 uniform mat3 transform;
 uniform mat3 projection;
 uniform float stageWidth;
 uniform float stageHeight;
 uniform float zoom;
+uniform float pixelRatio;
 uniform float hovered;
 uniform bool highlighted;
+// número de colunas e linhas do atlas de imagens
+uniform vec2 atlasGrid;
 
 varying vec4 nodeColor;
+varying vec4 nodeBorderColor;
+varying float nodeShape;
+// largura da borda como fração do raio do nó
+varying float nodeBorder;
+// origem da célula da imagem no atlas (x < 0.0 para nenhuma)
+varying vec2 nodeImage;
 
 void main () {
   nodeColor = color;
+  nodeBorderColor = borderColor;
+  nodeShape = style.x;
+  nodeBorder = size > 0.0 ? min(2.0 * style.y / size, 1.0) : 0.0;
+  nodeImage = style.z < 0.0
+    ? vec2(-1.0)
+    : vec2(mod(style.z, atlasGrid.x), floor(style.z / atlasGrid.x)) / atlasGrid;
+  // nós ocultos pelo filtro não são rasterizados
+  if (visible < 0.5) {
+    gl_Position = vec4(2.0, 2.0, 0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
   vec3 final = projection * transform * vec3(position.xy, 1);
   // gl_Position = vec4(normalizeCoords(position), 0, 1);
   gl_Position = vec4(final.xy, 0, 1.0);
-  gl_PointSize = size * (exp(log(zoom) * 0.5));
+  // gl_PointSize é medido em pixels do buffer de desenho (tamanho CSS × devicePixelRatio)
+  gl_PointSize = size * (exp(log(zoom) * 0.5)) * pixelRatio;
   // if (position.z == hovered) nodeColor.a = 1.;
   // if (position.z == hovered) nodeColor = vec4(1.0, 1.0, 1.0, 1.0);
   // if (position.z == hovered) gl_PointSize += 3.0;
@@ -27,4 +54,6 @@ void main () {
   // if (position.z == hovered) gl_Position.z = -1.; // só com depth = true
   if (highlighted) nodeColor.a = 0.2;
   if (hovered != -1. && position.z != hovered) nodeColor.a = 0.2;
+  // a borda acompanha a opacidade do nó
+  nodeBorderColor.a = min(nodeBorderColor.a, nodeColor.a);
 }
@@ -0,0 +1,12 @@
+precision mediump float;
+
+// vértice do polígono nas coordenadas do grafo
+attribute vec2 position;
+
+uniform mat3 transform;
+uniform mat3 projection;
+
+void main () {
+  vec3 final = projection * transform * vec3(position, 1);
+  gl_Position = vec4(final.xy, 0, 1.0);
+}
@@ -0,0 +1,22 @@
+// Funções compartilhadas pelos shaders dos nós
+
+// Formatos dos nós: 0.0 círculo, 1.0 quadrado, 2.0 triângulo, 3.0 losango e 4.0 anel
+// Distância normalizada do ponto p (coordenadas do ponto de -1.0 a 1.0, y para cima) ao
+// centro do formato: 1.0 na borda, menor no interior
+float shapeDistance (vec2 p, float shape) {
+  // quadrado
+  if (shape == 1.0) {
+    return max(abs(p.x), abs(p.y)) / 0.85;
+  }
+  // triângulo equilátero centralizado (distância às arestas pelo raio inscrito)
+  if (shape == 2.0) {
+    vec2 q = p + vec2(0.0, 0.25);
+    return max(-q.y, max(dot(q, vec2(0.866, 0.5)), dot(q, vec2(-0.866, 0.5)))) / 0.5;
+  }
+  // losango
+  if (shape == 3.0) {
+    return abs(p.x) + abs(p.y);
+  }
+  // círculo e anel
+  return length(p);
+}
@@ -20,14 +20,36 @@ export function createTooltip (target) {
     plugins: [followCursor]
   })
 
+  // Indica se a tooltip está fixada em uma posição (toque) em vez de acompanhar o mouse
+  let pinned = false
+
   return {
-    show: (data, format) => {
+    /**
+     * Exibe a tooltip
+     * @param {*} data Conteúdo ou dados a serem formatados
+     * @param {Function} [format] Função de formatação do conteúdo (data) => 'content'
+     * @param {Number[]} [position] Posição fixa na janela [clientX, clientY]. Sem ela, a
+     * tooltip acompanha o mouse
+     */
+    show: (data, format, position = null) => {
       let content
       if (format && typeof format === 'function') {
         content = format(data)
       } else {
         content = data
       }
+      if (position) {
+        const [x, y] = position
+        // O followCursor é desabilitado antes (ele descarta a posição ao ser desabilitado)
+        tooltip.setProps({ followCursor: false })
+        tooltip.setProps({
+          getReferenceClientRect: () => ({ width: 0, height: 0, top: y, right: x, bottom: y, left: x })
+        })
+        pinned = true
+      } else if (pinned) {
+        tooltip.setProps({ followCursor: true, getReferenceClientRect: null })
+        pinned = false
+      }
       tooltip.setContent(content)
       tooltip.show()
     },
@@ -0,0 +1,143 @@
+/**
+ * Validação dos dados da rede (nós e arestas) antes da carga no grafo
+ */
+
+// Mensagens dos tipos de problemas encontrados nos dados
+const ISSUE_MESSAGES = {
+  'missing-id': 'Nó sem ID',
+  'duplicate-id': 'ID de nó duplicado',
+  'invalid-coordinates': 'Coordenadas não numéricas',
+  'invalid-size': 'Tamanho não numérico',
+  'invalid-color': 'Cor inválida',
+  'invalid-shape': 'Formato de nó desconhecido',
+  'missing-endpoint': 'Aresta sem nó de origem ou destino',
+  'dangling-edge': 'Aresta com nó inexistente',
+  'invalid-weight': 'Peso (espessura) não numérico'
+}
+
+/**
+ * Verifica se um valor é um número finito
+ * @param {*} value Valor
+ * @returns {Boolean} Verdadeiro para números finitos
+ */
+function isNumber (value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/**
+ * Verifica se um campo está preenchido (diferente de undefined e null)
+ * @param {*} value Valor
+ * @returns {Boolean} Verdadeiro para campos preenchidos
+ */
+function isDefined (value) {
+  return typeof value !== 'undefined' && value !== null
+}
+
+/**
+ * Valida os nós e arestas. Os registros inválidos são descartados (sem ID, IDs duplicados,
+ * arestas com nós inexistentes) ou corrigidos, removendo o campo inválido (coordenadas,
+ * tamanho, cor, formato, borda e peso), que passa a utilizar o valor padrão.
+ * @param {Object} data Dados da rede { nodes, edges }
+ * @param {Object} context Contexto da validação
+ * @param {Boolean} context.showEdges Indica se as arestas são carregadas
+ * @param {Function} context.hasNode Verifica se um ID de nó já existe no grafo (id) => Boolean
+ * @param {Function} context.isColor Verifica se uma cor é válida (color) => Boolean
+ * @param {Function} context.isShape Verifica se um formato de nó é válido (shape) => Boolean
+ * @returns {Object} Dados corrigidos e problemas encontrados { nodes, edges, issues }
+ */
+export function validateData ({ nodes = [], edges = [] }, { showEdges, hasNode, isColor, isShape }) {
+  const issues = []
+  const report = (type, item, index, id, field, action) => {
+    issues.push({ type, item, index, id, field, action, message: ISSUE_MESSAGES[type] })
+  }
+  // Remove campos inválidos de uma cópia do registro
+  const repair = (record, fields) => {
+    const copy = { ...record }
+    fields.forEach(field => delete copy[field])
+    return copy
+  }
+
+  const ids = new Set()
+  const validNodes = []
+  nodes.forEach((node, index) => {
+    const id = node ? node.id : undefined
+    if (!isDefined(id) || id === '') {
+      report('missing-id', 'node', index, null, 'id', 'skipped')
+      return
+    }
+    if (ids.has(id) || hasNode(id)) {
+      report('duplicate-id', 'node', index, id, 'id', 'skipped')
+      return
+    }
+    ids.add(id)
+    const invalid = []
+    const position = node.position || {}
+    const x = isDefined(node.x) ? node.x : position.x
+    const y = isDefined(node.y) ? node.y : position.y
+    if ((isDefined(x) || isDefined(y)) && !(isNumber(x) && isNumber(y))) {
+      report('invalid-coordinates', 'node', index, id, 'x,y', 'repaired')
+      invalid.push('x', 'y', 'position')
+    }
+    ;['size', 'borderWidth'].forEach((field) => {
+      if (isDefined(node[field]) && !isNumber(node[field])) {
+        report('invalid-size', 'node', index, id, field, 'repaired')
+        invalid.push(field)
+      }
+    })
+    ;['color', 'borderColor'].forEach((field) => {
+      if (isDefined(node[field]) && node[field] !== '' && !isColor(node[field])) {
+        report('invalid-color', 'node', index, id, field, 'repaired')
+        invalid.push(field)
+      }
+    })
+    if (isDefined(node.shape) && !isShape(node.shape)) {
+      report('invalid-shape', 'node', index, id, 'shape', 'repaired')
+      invalid.push('shape')
+    }
+    validNodes.push(invalid.length ? repair(node, invalid) : node)
+  })
+
+  const validEdges = []
+  if (showEdges) {
+    edges.forEach((edge, index) => {
+      const source = edge ? edge.sourceID ?? edge.source : undefined
+      const target = edge ? edge.targetID ?? edge.target : undefined
+      const id = isDefined(source) && isDefined(target) ? `${source}->${target}` : null
+      if (!isDefined(source) || !isDefined(target)) {
+        report('missing-endpoint', 'edge', index, id, !isDefined(source) ? 'sourceID' : 'targetID', 'skipped')
+        return
+      }
+      if ((!ids.has(source) && !hasNode(source)) || (!ids.has(target) && !hasNode(target))) {
+        report('dangling-edge', 'edge', index, id, !ids.has(source) && !hasNode(source) ? 'sourceID' : 'targetID', 'skipped')
+        return
+      }
+      const invalid = []
+      ;['size', 'weight'].forEach((field) => {
+        if (isDefined(edge[field]) && !isNumber(edge[field])) {
+          report('invalid-weight', 'edge', index, id, field, 'repaired')
+          invalid.push(field)
+        }
+      })
+      if (isDefined(edge.color) && edge.color !== '' && !isColor(edge.color)) {
+        report('invalid-color', 'edge', index, id, 'color', 'repaired')
+        invalid.push('color')
+      }
+      validEdges.push(invalid.length ? repair(edge, invalid) : edge)
+    })
+  }
+
+  return { nodes: validNodes, edges: validEdges, issues }
+}
+
+/**
+ * Cria um erro com o resumo dos problemas encontrados na validação (modo 'strict')
+ * @param {Object[]} issues Problemas encontrados
+ * @returns {Error} Erro com a propriedade 'issues'
+ */
+export function validationError (issues) {
+  const summary = issues.slice(0, 5).map(({ message, item, index, id }) => `${message} (${item} ${index}${isDefined(id) ? `: ${id}` : ''})`)
+  const more = issues.length > 5 ? ` e mais ${issues.length - 5}` : ''
+  const error = new Error(`Dados da rede inválidos: ${summary.join('; ')}${more}`)
+  error.issues = issues
+  return error
+}